@@ -6,7 +6,7 @@ import React, { useEffect, useMemo, useState } from "react";
  * What this is:
  * - A working, single-file MVP you can preview.
  * - Onboarding → Program Generator → Session Log → Auto-Adjust → Coach Dashboard.
- * - Local-only storage (no backend).
+ * - Versioned, self-repairing storage: localStorage by default, IndexedDB or a REST server optional.
  * - A tiny rule engine + placeholders for AI calls.
  *
  * How to use:
@@ -15,7 +15,9 @@ import React, { useEffect, useMemo, useState } from "react";
  * - Use Coach Dashboard to triage and apply quick actions (swap, cap sets, deload).
  *
  * Where to integrate real AI:
- * - TODO markers: call your OpenAI function/gpt here with the provided JSON payloads.
+ * - AI Provider Layer: pick a provider (rule engine, local mock server, LLM endpoint).
+ *   Plans and weekly check-in reports go through the same providers; responses are
+ *   schema-validated and anything invalid falls back to the rule engine.
  *
  * Styling:
  * - Tailwind classes only, no external UI libs to keep this portable.
@@ -28,6 +30,7 @@ const defaultProfile = {
   goal: "bjj_strength", // bjj_strength | general_strength | fat_loss | youth
   trainingAgeYrs: 3,
   daysAvailable: ["Mon", "Thu"],
+  sessionsPerWeek: null, // null = one session on every available day
   minutesPerSession: 60,
   equipment: {
     barbell: true,
@@ -41,21 +44,70 @@ const defaultProfile = {
   injuries: [
     // { area: "shoulder", aggravates: ["wide_grip_press"], severity: 2 }
   ],
+  competitions: [
+    // { id, name: "Pans", date: "2026-03-14", priority: "A" } – A: full peak, B: short peak, C: train through
+  ],
+  age: null, // with maxHR/restingHR, sets heart-rate zones (see Conditioning)
+  maxHR: null, // measured; null = estimated from age
+  restingHR: null, // null = median of recent check-ins
+  units: "lb", // lb | kg – display and input only; loads are stored in lb
+  loading: null, // { unit, bar, plates, dumbbells, kettlebells } in `unit`; null = the unit's preset
   prefs: {
     barbellBias: true,
     dislikes: [],
+    preferredDays: [], // tie-breaker when there are more available days than sessions
   },
 };
 
-const defaultState = {
+// Everything that belongs to one athlete on the coach's roster.
+const defaultAthlete = {
+  id: "",
+  group: "", // free-text roster group, e.g. "Comp Team"
   profile: defaultProfile,
-  currentPhase: "Base", // Base | Build | Peak | Deload
+  currentPhase: "Base", // Base | Build | Peak | Deload | Taper | Return
   weekIndex: 1,
+  startDate: null, // Monday of week 1 (YYYY-MM-DD); set once the calendar drives the week count
+  peaking: null, // { phase, weeksOut, comp, weekStart } while a competition is in range
+  weekStart: null, // Monday (YYYY-MM-DD) of the week the current plan was generated for
+  preDeloadPhase: null, // phase to return to when a coach deload is toggled off
   sessions: [], // planned sessions for current week
   sessionLogs: [], // { id, date, completed[], rpeAvg, painFlag, notes }
-  readinessToday: { sleep: 7, soreness: 3, stress: 3, hrv: null, bjjLoad: "moderate" },
+  matLogs: [], // BJJ sessions: { id, date, minutes, srpe, type }
+  checkIns: [], // daily readiness: { id, date, sleepHours, sleepQuality, soreness: { region: 0–5 }, stress, mood, hrv, restingHR, bjjLoad }
+  periodization: { model: "linear", position: 0, deloadReason: null }, // position = week within the model's cycle
+  lastGeneration: null, // { source, fallbackReason, notes, at, inputs }
+  planArchive: [], // every version of every week's plan, see Plan Archive
+  prefSignals: [], // { id, date, kind: "swapAway" | "swapTo", move, other } – see Preference Learning
+  prefResets: {}, // move (or "*" for all) → date its log-derived signals start counting again
+  reports: [], // latest weekly check-in per week: { id, weekIndex, date, at, source, fallbackReason, report }
+};
+
+function newAthlete(name = "", group = "") {
+  return { ...defaultAthlete, id: shortId(), group, profile: { ...defaultProfile, name } };
+}
+
+const firstAthlete = newAthlete();
+
+const defaultState = {
+  schemaVersion: 3,
+  athletes: [firstAthlete],
+  activeAthleteId: firstAthlete.id,
+  ai: { provider: "template", endpoint: "", model: "gpt-4o-mini" }, // provider: template | mock | llm
+  alertConfig: {}, // per-rule overrides, see alertRules
+  history: { past: [], future: [] }, // quick-action undo/redo stacks
+  customTemplates: [], // coach-saved sessions, offered next to the built-in templates
 };
 
+// Single-athlete blobs (pre-roster) become a roster of one.
+function toRosterState(raw) {
+  const { ai, ...legacy } = raw;
+  const athlete = { ...defaultAthlete, ...legacy, id: shortId(), group: "" };
+  Object.keys(athlete).forEach((k) => {
+    if (!(k in defaultAthlete)) delete athlete[k];
+  });
+  return { ...defaultState, ai: ai || defaultState.ai, athletes: [athlete], activeAthleteId: athlete.id };
+}
+
 // ---------------------- Utilities ----------------------
 const weekdays = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
@@ -63,14 +115,25 @@ function save(key, val) {
   localStorage.setItem(key, JSON.stringify(val));
 }
 function load(key, fallback) {
-  const v = localStorage.getItem(key);
-  return v ? JSON.parse(v) : fallback;
+  try {
+    const v = localStorage.getItem(key);
+    return v ? JSON.parse(v) : fallback;
+  } catch {
+    return fallback;
+  }
 }
 
 function shortId() {
   return Math.random().toString(36).slice(2, 8);
 }
 
+// Copy of obj without the given keys.
+function omit(obj, ...keys) {
+  const out = { ...obj };
+  keys.forEach((k) => delete out[k]);
+  return out;
+}
+
 // Basic e1RM estimate from reps @ RPE (rough; placeholder)
 function estimateE1RM(weight, reps, rpe) {
   const rir = Math.max(0, 10 - rpe);
@@ -79,17 +142,480 @@ function estimateE1RM(weight, reps, rpe) {
   return Math.round(weight * (1 + maxRepsAtWeight / 30));
 }
 
-// Simple rule engine for load adjustments
-function adjustLoad(prev, readiness, pain) {
+// Simple rule engine for load adjustments: % change plus the reasons behind it.
+// readiness is an assessReadiness() result (or null); pain is the latest 0–5 pain flag.
+function readinessAdjustment(readiness, pain) {
+  const r = readiness || {};
+  const reasons = [];
   let delta = 0;
-  const r = readiness;
-  if (pain) delta -= 7;
-  if (r.sleep >= 7 && r.soreness <= 3 && r.stress <= 3) delta += 3;
-  if (r.soreness >= 4) delta -= 2;
-  if (r.stress >= 4) delta -= 1;
+  const add = (d, why) => {
+    delta += d;
+    reasons.push(`${d > 0 ? "+" : "−"}${Math.abs(d)}% ${why}`);
+  };
+  if (Number(pain) >= 3) add(-7, `pain ${pain}/5`);
+  else if (Number(pain) >= 1) add(-3, `pain ${pain}/5`);
+  if (r.level === "high") add(3, `readiness high for you (z ${formatZ(r.z)})`);
+  if (r.level === "below") add(-2, `readiness below your norm (z ${formatZ(r.z)})`);
+  if (r.level === "low") add(-5, `readiness low for you (z ${formatZ(r.z)})`);
+  if (r.metrics?.hrv?.z <= -1) add(-3, "HRV below baseline");
+  if (r.checkIn?.bjjLoad === "hard") add(-3, "hard BJJ load");
+  return { delta, reasons };
+}
+
+function adjustLoad(prev, readiness, pain) {
+  const { delta } = readinessAdjustment(readiness, pain);
   return Math.max(0, Math.round(prev * (1 + delta / 100)));
 }
 
+// ---------------------- Exercise Library ----------------------
+// equipment: every entry must be owned; a nested array means "any of".
+// jointStress: 0 (none) – 3 (high) per joint. level: 1 (easiest) – 5 (most demanding).
+// tags: movement qualities an injury's "aggravates" list can match (as can pattern and name).
+const exerciseLibrary = {
+  "Back Squat": { pattern: "squat", equipment: ["barbell", "rack"], level: 5, tags: ["axial_load", "deep_knee_flexion", "shoulder_external_rotation"], jointStress: { knee: 2, back: 3, shoulder: 2 }, regression: "Safety Bar Squat" },
+  "Safety Bar Squat": { pattern: "squat", equipment: ["barbell", "rack"], level: 4, tags: ["axial_load", "deep_knee_flexion"], jointStress: { knee: 2, back: 2 }, regression: "Goblet Squat", progression: "Back Squat" },
+  "Goblet Squat": { pattern: "squat", equipment: [["dumbbells", "kettlebells"]], level: 3, tags: ["deep_knee_flexion"], jointStress: { knee: 2, back: 1 }, regression: "Split Squat", progression: "Safety Bar Squat" },
+  "Split Squat": { pattern: "squat", equipment: [], level: 2, tags: ["deep_knee_flexion", "single_leg"], jointStress: { knee: 2, hip: 1 }, regression: "Box Squat (bodyweight)", progression: "Goblet Squat" },
+  "Box Squat (bodyweight)": { pattern: "squat", equipment: [], level: 1, jointStress: { knee: 1 }, progression: "Split Squat" },
+
+  Deadlift: { pattern: "hinge", equipment: ["barbell"], level: 5, tags: ["spinal_loading"], jointStress: { back: 3, hip: 2 }, regression: "RDL" },
+  RDL: { pattern: "hinge", equipment: ["barbell"], level: 4, tags: ["spinal_loading"], jointStress: { back: 2, hip: 2 }, regression: "DB RDL" },
+  "DB RDL": { pattern: "hinge", equipment: [["dumbbells", "kettlebells"]], level: 3, tags: ["spinal_loading"], jointStress: { back: 1, hip: 2 }, regression: "Band Pull-Through", progression: "RDL" },
+  "Band Pull-Through": { pattern: "hinge", equipment: ["bands"], level: 2, jointStress: { hip: 1 }, regression: "Glute Bridge", progression: "DB RDL" },
+  "Glute Bridge": { pattern: "hinge", equipment: [], level: 1, jointStress: { hip: 1 }, progression: "Band Pull-Through" },
+  "KB Swings": { pattern: "ballistic", equipment: ["kettlebells"], level: 4, tags: ["spinal_loading"], jointStress: { back: 2, hip: 2 }, regression: "DB Swings" },
+  "DB Swings": { pattern: "ballistic", equipment: ["dumbbells"], level: 3, tags: ["spinal_loading"], jointStress: { back: 2, hip: 2 }, regression: "Broad Jumps", progression: "KB Swings" },
+  "Broad Jumps": { pattern: "ballistic", equipment: [], level: 2, tags: ["impact", "jumping"], jointStress: { knee: 2, ankle: 2 }, progression: "KB Swings" },
+
+  "Barbell Bench Press": { pattern: "horizontal_press", equipment: ["barbell", "rack"], level: 5, tags: ["wide_grip_press", "wrist_extension"], jointStress: { shoulder: 3, wrist: 1 }, regression: "DB Bench Press" },
+  "DB Bench Press": { pattern: "horizontal_press", equipment: ["dumbbells"], level: 4, tags: ["wrist_extension"], jointStress: { shoulder: 2, wrist: 1 }, regression: "DB Neutral Press", progression: "Barbell Bench Press" },
+  "Floor Press": { pattern: "horizontal_press", equipment: ["barbell", "rack"], level: 4, jointStress: { shoulder: 1, wrist: 1 }, regression: "DB Neutral Press", progression: "Barbell Bench Press" },
+  "DB Neutral Press": { pattern: "horizontal_press", equipment: ["dumbbells"], level: 3, jointStress: { shoulder: 1 }, regression: "Band Press", progression: "DB Bench Press" },
+  "Band Press": { pattern: "horizontal_press", equipment: ["bands"], level: 2, jointStress: { shoulder: 1 }, regression: "Push-up", progression: "DB Neutral Press" },
+  "Push-up": { pattern: "horizontal_press", equipment: [], level: 2, tags: ["wrist_extension", "weight_bearing"], jointStress: { shoulder: 2, wrist: 2 }, progression: "DB Bench Press" },
+  "Overhead Press": { pattern: "vertical_press", equipment: ["barbell", "rack"], level: 5, tags: ["overhead"], jointStress: { shoulder: 3, back: 2 }, regression: "Landmine Press" },
+  "Landmine Press": { pattern: "vertical_press", equipment: ["barbell"], level: 3, jointStress: { shoulder: 1 }, regression: "Half-Kneeling KB Press" },
+  "Half-Kneeling KB Press": { pattern: "vertical_press", equipment: [["kettlebells", "dumbbells"]], level: 3, tags: ["overhead", "kneeling"], jointStress: { shoulder: 2 }, progression: "Landmine Press" },
+
+  "Chest-Supported Row": { pattern: "horizontal_pull", equipment: ["dumbbells"], level: 3, jointStress: { shoulder: 1 }, regression: "Band Row", progression: "Barbell Row" },
+  "Barbell Row": { pattern: "horizontal_pull", equipment: ["barbell"], level: 4, tags: ["spinal_loading"], jointStress: { back: 2, shoulder: 1 }, regression: "Chest-Supported Row" },
+  "Inverted Row": { pattern: "horizontal_pull", equipment: ["rack"], level: 3, jointStress: { shoulder: 1 }, regression: "Band Row" },
+  "Band Row": { pattern: "horizontal_pull", equipment: ["bands"], level: 2, jointStress: {}, progression: "Chest-Supported Row" },
+  "Pull-ups or Pulldown": { pattern: "vertical_pull", equipment: [], level: 4, tags: ["overhead", "hanging"], jointStress: { shoulder: 2, wrist: 1 }, regression: "Band-Assisted Pull-up" },
+  "Band-Assisted Pull-up": { pattern: "vertical_pull", equipment: ["bands"], level: 3, tags: ["overhead", "hanging"], jointStress: { shoulder: 1 }, progression: "Pull-ups or Pulldown" },
+  "Cuff Isometrics": { pattern: "shoulder_health", equipment: [], level: 1, jointStress: {} },
+  "Band External Rotations": { pattern: "shoulder_health", equipment: ["bands"], level: 1, jointStress: {} },
+
+  "Carry (Farmer)": { pattern: "carry", equipment: [["dumbbells", "kettlebells"]], level: 3, tags: ["grip"], jointStress: { wrist: 1, back: 1 }, regression: "Plate Pinch Carry" },
+  "Carries Mix": { pattern: "carry", equipment: [["dumbbells", "kettlebells"]], level: 3, tags: ["grip"], jointStress: { wrist: 1, back: 1, shoulder: 1 }, regression: "Carry (Farmer)" },
+  "Plate Pinch Carry": { pattern: "carry", equipment: ["barbell"], level: 2, tags: ["grip"], jointStress: { wrist: 2 }, regression: "Bear Hug Carry (odd object)" },
+  "Bear Hug Carry (odd object)": { pattern: "carry", equipment: [], level: 2, tags: ["spinal_loading"], jointStress: { back: 1 } },
+  "Grip Roll-ups": { pattern: "grip", equipment: [], level: 2, tags: ["grip", "wrist_flexion"], jointStress: { wrist: 2 }, regression: "Towel Hang" },
+  "Towel Hang": { pattern: "grip", equipment: [], level: 2, tags: ["grip", "hanging"], jointStress: { shoulder: 1, wrist: 1 } },
+
+  "Sled Push/Drag": { pattern: "locomotion", equipment: ["sled"], level: 3, jointStress: { knee: 1 }, regression: "Band-Resisted Marches" },
+  "Band-Resisted Marches": { pattern: "locomotion", equipment: ["bands"], level: 2, jointStress: { knee: 1 }, regression: "Backpack Ruck Walk", progression: "Sled Push/Drag" },
+  "Backpack Ruck Walk": { pattern: "locomotion", equipment: [], level: 2, jointStress: { ankle: 1 }, progression: "Sled Push/Drag" },
+
+  "Spanish Squat Isometric": { pattern: "rehab", equipment: ["bands"], level: 1, jointStress: {}, regression: "Wall Sit Isometric" },
+  "Wall Sit Isometric": { pattern: "rehab", equipment: [], level: 1, jointStress: {} },
+  "McGill Big 3": { pattern: "rehab", equipment: [], level: 1, jointStress: {} },
+  "90/90 Hip Lift-offs": { pattern: "rehab", equipment: [], level: 1, jointStress: {} },
+  "Wrist Isometrics (flex/ext)": { pattern: "rehab", equipment: [], level: 1, jointStress: {} },
+  "Tib Raises + Calf Isometrics": { pattern: "rehab", equipment: [], level: 1, jointStress: {} },
+};
+
+function hasEquipment(name, kit) {
+  const ex = exerciseLibrary[name];
+  if (!ex) return true; // unknown moves (e.g. free text from an AI plan) are taken as-is
+  return ex.equipment.every((req) => [].concat(req).some((k) => kit?.[k]));
+}
+
+// Best available stand-in for `name`: itself, then its regression chain, then the
+// closest-level variant of the same pattern. `accept` lets callers add filters.
+function selectVariant(name, kit, accept = () => true) {
+  const ok = (n) => hasEquipment(n, kit) && accept(n);
+  if (ok(name)) return name;
+  const seen = new Set([name]);
+  let cur = exerciseLibrary[name]?.regression;
+  while (cur && !seen.has(cur)) {
+    if (ok(cur)) return cur;
+    seen.add(cur);
+    cur = exerciseLibrary[cur]?.regression;
+  }
+  const ex = exerciseLibrary[name];
+  if (!ex) return null;
+  const candidates = Object.keys(exerciseLibrary)
+    .filter((n) => !seen.has(n) && exerciseLibrary[n].pattern === ex.pattern && ok(n))
+    .sort((a, b) => Math.abs(exerciseLibrary[a].level - ex.level) - Math.abs(exerciseLibrary[b].level - ex.level));
+  return candidates[0] || null;
+}
+
+function missingEquipment(name, kit) {
+  const ex = exerciseLibrary[name];
+  if (!ex) return [];
+  return ex.equipment.filter((req) => ![].concat(req).some((k) => kit?.[k])).map((req) => [].concat(req).join("/"));
+}
+
+function fitBlockToEquipment(block, kit) {
+  const pattern = exerciseLibrary[block.move]?.pattern || null;
+  if (hasEquipment(block.move, kit)) return { ...block, pattern };
+  const variant = selectVariant(block.move, kit);
+  const reason = `no ${missingEquipment(block.move, kit).join(", ")}`;
+  if (!variant) return { ...block, pattern, note: `Needs equipment you don't have (${reason})` };
+  return { ...block, move: variant, pattern, swappedFrom: block.move, note: `Swapped from ${block.move}: ${reason}` };
+}
+
+// ---------------------- Preference Learning ----------------------
+// What an athlete thinks of a move, learned from what they do with it. Thumbs-downs and swaps are
+// recorded as they happen (athlete.prefSignals); skipped blocks and painful sessions come from the logs,
+// counted from the move's last reset (athlete.prefResets) so a coach can wipe the slate clean.
+const PREF_WINDOW_DAYS = 56; // log-derived signals older than this are forgotten
+const PREF_SWAP_MARGIN = 2; // a variant must beat the planned move by this much to replace it
+const prefWeights = { swapAway: -2, swapTo: 2, skip: -1, pain: -2 };
+const barbellBiasScore = { on: 1, off: -3 };
+
+const isBarbellMove = (name) => (exerciseLibrary[name]?.equipment || []).includes("barbell");
+
+// { move: { score, reasons[], disliked } } for every move the athlete has an opinion on.
+function movePreferences(athlete, today = new Date().toISOString().slice(0, 10)) {
+  const out = {};
+  const resets = athlete.prefResets || {};
+  const since = (move) => [resets["*"], resets[move]].filter(Boolean).sort().at(-1) || "";
+  const counts = {};
+  const bump = (move, kind, date) => {
+    if (!move || (date && date <= since(move))) return;
+    counts[move] = counts[move] || {};
+    counts[move][kind] = (counts[move][kind] || 0) + 1;
+  };
+  (athlete.prefSignals || []).forEach((s) => s.kind in prefWeights && bump(s.move, s.kind));
+  const from = isoDay(dayNumber(today) - PREF_WINDOW_DAYS);
+  const painful = {};
+  (athlete.sessionLogs || [])
+    .filter((l) => l.date >= from)
+    .forEach((l) => {
+      (l.completed || []).forEach((c) => {
+        if (c.sets === 0 && c.setLog?.some((x) => x.status === "skipped")) bump(c.move, "skip", l.date);
+        if (c.sets > 0 && Number(l.painFlag) >= 3) (painful[c.move] = painful[c.move] || []).push(l.date);
+      });
+    });
+  // One painful session is noise; the same move hurting again is a pattern.
+  Object.entries(painful).forEach(([move, dates]) => {
+    const counted = dates.filter((d) => d > since(move));
+    if (counted.length >= 2) counted.forEach((d) => bump(move, "pain", d));
+  });
+  const labels = { swapAway: (n) => `swapped out ${n}×`, swapTo: (n) => `swapped in ${n}×`, skip: (n) => `skipped ${n}×`, pain: (n) => `pain ≥3 in ${n} sessions` };
+  Object.entries(counts).forEach(([move, c]) => {
+    out[move] = {
+      score: Object.entries(c).reduce((sum, [k, n]) => sum + prefWeights[k] * n, 0),
+      reasons: Object.entries(c).map(([k, n]) => labels[k](n)),
+      disliked: false,
+    };
+  });
+  (athlete.profile?.prefs?.dislikes || []).forEach((move) => {
+    out[move] = { score: out[move]?.score || 0, reasons: ["thumbs-down", ...(out[move]?.reasons || [])], disliked: true };
+  });
+  return out;
+}
+
+// Score used to choose between variants; dislikes are handled separately as a hard no.
+function moveScore(name, prefs) {
+  const bias = isBarbellMove(name) ? (prefs.barbellBias === false ? barbellBiasScore.off : barbellBiasScore.on) : 0;
+  return (prefs.scores?.[name] || 0) + bias;
+}
+
+// Same-pattern variants the athlete can do with their kit, best first. Big level jumps cost points.
+function preferredVariants(name, kit, prefs) {
+  const ex = exerciseLibrary[name];
+  if (!ex || ex.pattern === "rehab") return [];
+  const value = (n) => moveScore(n, prefs) - 0.5 * Math.abs(exerciseLibrary[n].level - ex.level);
+  return Object.keys(exerciseLibrary)
+    .filter((n) => n !== name && exerciseLibrary[n].pattern === ex.pattern && Math.abs(exerciseLibrary[n].level - ex.level) <= 2)
+    .filter((n) => hasEquipment(n, kit) && !(prefs.dislikes || []).includes(n))
+    .map((n) => ({ move: n, value: value(n) }))
+    .sort((a, b) => b.value - a.value);
+}
+
+function applyPreferences(block, payload) {
+  const { prefs = {}, preferences = {}, equipment } = payload.athlete;
+  const p = { ...prefs, scores: preferences };
+  const disliked = (prefs.dislikes || []).includes(block.move);
+  const best = preferredVariants(block.move, equipment, p)[0];
+  if (!best || (!disliked && best.value - moveScore(block.move, p) < PREF_SWAP_MARGIN)) return block;
+  const why = disliked ? "athlete dislikes it" : (preferences[block.move] || 0) < 0 ? "athlete avoids it" : prefs.barbellBias === false && isBarbellMove(block.move) ? "prefers non-barbell work" : "athlete prefers it";
+  return addNote({ ...block, move: best.move, swappedFrom: block.swappedFrom || block.move }, `Preference: ${best.move} over ${block.move} (${why})`);
+}
+
+// ---------------------- Constraint Engine ----------------------
+// Per injury, by severity: 1 → flag only, 2–3 → swap to a variant that spares the
+// area, 4–5 → remove and add a rehab block. Severity 3+ also tightens the joint-stress limit.
+const rehabBlocks = {
+  shoulder: { move: "Band External Rotations", scheme: "3x15 slow, pain ≤2/10", targetRPE: 5, slots: 3 },
+  knee: { move: "Spanish Squat Isometric", scheme: "5x45s hold, pain ≤2/10", targetRPE: 6, slots: 5 },
+  hip: { move: "90/90 Hip Lift-offs", scheme: "3x6/side slow", targetRPE: 5, slots: 3 },
+  back: { move: "McGill Big 3", scheme: "3 rounds, 10s holds", targetRPE: 5, slots: 3 },
+  wrist: { move: "Wrist Isometrics (flex/ext)", scheme: "3x30s each way", targetRPE: 5, slots: 3 },
+  ankle: { move: "Tib Raises + Calf Isometrics", scheme: "3x15 + 3x30s", targetRPE: 5, slots: 3 },
+};
+
+function normalizeTerm(t) {
+  return String(t || "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+function inferConstraints(profile) {
+  const c = { injuries: [] };
+  (profile.injuries || []).forEach((i) => {
+    if (!i.area) return;
+    const severity = Math.min(5, Math.max(1, Number(i.severity) || 1));
+    c[i.area] = true;
+    c.injuries.push({
+      area: i.area,
+      severity,
+      aggravates: (i.aggravates || []).map(normalizeTerm).filter(Boolean),
+      action: severity >= 4 ? "remove" : severity >= 2 ? "swap" : "flag",
+    });
+  });
+  return c;
+}
+
+// "deep_flexion" matches "deep_knee_flexion": every word of the term must appear.
+function termMatches(label, term) {
+  const words = normalizeTerm(label).split("_");
+  return term.split("_").every((w) => words.includes(w));
+}
+
+function aggravates(name, term) {
+  const ex = exerciseLibrary[name];
+  if (termMatches(name, term)) return true;
+  if (!ex) return false;
+  return termMatches(ex.pattern, term) || (ex.tags || []).some((tag) => termMatches(tag, term));
+}
+
+// Which injury rules does `name` break, and why.
+function injuryHits(name, constraints) {
+  const stress = exerciseLibrary[name]?.jointStress || {};
+  return (constraints?.injuries || [])
+    .map((inj) => {
+      const term = inj.aggravates.find((t) => aggravates(name, t));
+      const limit = inj.severity >= 3 ? 2 : 3;
+      const load = stress[inj.area] || 0;
+      if (term) return { ...inj, reason: `${inj.area} ${inj.severity}/5 – aggravates ${term.replace(/_/g, " ")}` };
+      if (load >= limit) return { ...inj, reason: `${inj.area} ${inj.severity}/5 – high ${inj.area} stress` };
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function addNote(block, text) {
+  return { ...block, note: block.note ? `${block.note} · ${text}` : text };
+}
+
+function applyInjuryConstraints(blocks, constraints, kit) {
+  const out = [];
+  const removed = [];
+  const blocking = (n) => injuryHits(n, constraints).some((h) => h.action !== "flag");
+  blocks.forEach((b) => {
+    const hits = injuryHits(b.move, constraints);
+    if (!hits.length) return out.push(b);
+    const reason = hits.map((h) => h.reason).join("; ");
+    if (hits.every((h) => h.action === "flag")) return out.push(addNote(b, `Caution: ${reason}`));
+    const variant = hits.some((h) => h.action === "remove") ? null : selectVariant(b.move, kit, (n) => !blocking(n));
+    if (!variant) return removed.push({ move: b.move, reason });
+    out.push(addNote({ ...b, move: variant, pattern: exerciseLibrary[variant]?.pattern || null, swappedFrom: b.swappedFrom || b.move }, `Swapped from ${b.move}: ${reason}`));
+  });
+  const rehabAreas = [...new Set(constraints.injuries.filter((i) => i.action === "remove").map((i) => i.area))];
+  rehabAreas.forEach((area) => {
+    const inj = constraints.injuries.filter((i) => i.area === area).sort((a, b) => b.severity - a.severity)[0];
+    if (rehabBlocks[area]) out.push(addNote(fitBlockToEquipment(rehabBlocks[area], kit), `Rehab: ${area} ${inj.severity}/5`));
+  });
+  return { blocks: out, removed };
+}
+
+// Track caps + equipment + injury + time-budget + load pass shared by the rule engine and AI providers' plans.
+function enforceSessionRules(session, payload) {
+  const kit = payload.athlete.equipment;
+  const fitted = applyTrackRules(session, payload).blocks.map((b) => applyPreferences(fitBlockToEquipment(b, kit), payload));
+  const { blocks, removed } = applyInjuryConstraints(fitted, payload.constraints, kit);
+  const budgeted = fitSessionToBudget(
+    applyLoadSpike(
+      {
+        ...session,
+        blocks: blocks.map((b) => (b.swappedFrom ? { ...b, loadSuggestion: null } : b)),
+        ...(removed.length ? { removed } : {}),
+      },
+      payload
+    ),
+    payload
+  );
+  return { ...budgeted, blocks: budgeted.blocks.map((b) => withLoadSuggestion(b, payload)) };
+}
+
+// ---------------------- Time Budget ----------------------
+const WORK_SEC_PER_SET = 40;
+const WARMUP_MIN_PER_DRILL = 2;
+
+// Extra accessory work offered when a session comes in well under budget.
+const accessoryPool = [
+  { move: "Towel Hang", scheme: "3x20–40s", targetRPE: 7, slots: 3 },
+  { move: "Band Row", scheme: "3x15", targetRPE: 7, slots: 3 },
+  { move: "Glute Bridge", scheme: "3x12", targetRPE: 7, slots: 3 },
+  { move: "Bear Hug Carry (odd object)", scheme: "3x40m", targetRPE: 7, slots: 3 },
+];
+
+function defaultRestSec(block) {
+  if (block.pattern === "rehab" || block.targetRPE <= 6) return 45;
+  const level = exerciseLibrary[block.move]?.level ?? 3;
+  return block.targetRPE >= 8 && level >= 4 ? 150 : 90;
+}
+
+// "10–15min" → 12.5, "5min" → 5, otherwise null.
+function timedMinutes(text) {
+  const m = String(text || "").match(/(\d+)\s*(?:[–-]\s*(\d+))?\s*min/i);
+  if (!m) return null;
+  return m[2] ? (Number(m[1]) + Number(m[2])) / 2 : Number(m[1]);
+}
+
+function isSetBased(block) {
+  return timedMinutes(block.scheme) == null && !/emom/i.test(block.scheme);
+}
+
+function blockMinutes(block) {
+  const timed = timedMinutes(block.scheme);
+  if (timed != null) return timed;
+  if (/emom/i.test(block.scheme)) return block.slots;
+  // The second half of a superset rests while its partner works.
+  const rest = block.superset?.endsWith("2") ? 0 : block.restSec ?? defaultRestSec(block);
+  return Math.round(((block.slots * (WORK_SEC_PER_SET + rest)) / 60 + 1) * 2) / 2;
+}
+
+function finisherMinutes(finisher) {
+  if (!finisher || /optional|skip/i.test(finisher)) return 0;
+  return timedMinutes(finisher) ?? 5;
+}
+
+function sessionMinutes(session) {
+  const blocks = session.blocks.reduce((a, b) => a + blockMinutes(b), 0);
+  return Math.round(session.warmup.length * WARMUP_MIN_PER_DRILL + blocks + finisherMinutes(session.finisher));
+}
+
+// Rewrite the set count inside the scheme text: "3x8" → "2x8", "3 rounds x 12" → "2 rounds x 12",
+// "Top set @8, backoffs 2x5" / "Top set @8, 2x6" → one top set + (slots − 1) backoffs; anything else gets "(n sets)".
+function withSets(block, slots) {
+  let scheme;
+  if (/^\d+x/.test(block.scheme)) scheme = block.scheme.replace(/^\d+x/, `${slots}x`);
+  else if (/^\d+ rounds?\b/.test(block.scheme)) scheme = block.scheme.replace(/^\d+ rounds?\b/, `${slots} round${slots === 1 ? "" : "s"}`);
+  else if (/top set/i.test(block.scheme) && /(backoffs |, )\d+x/.test(block.scheme) && slots > 1) scheme = block.scheme.replace(/(backoffs |, )\d+x/, (m, lead) => `${lead}${slots - 1}x`);
+  else scheme = `${block.scheme.replace(/ \(\d+ sets\)$/, "")} (${slots} sets)`;
+  return { ...block, slots, scheme };
+}
+
+function withEstimates(session) {
+  const blocks = session.blocks.map((b) => ({ ...b, estMinutes: blockMinutes(b) }));
+  return { ...session, blocks, estMinutes: sessionMinutes({ ...session, blocks }) };
+}
+
+// Pair consecutive set-based accessories as A1/A2, B1/B2, … The first block is the main lift.
+function pairSupersets(blocks) {
+  let pair = 0;
+  let open = null;
+  return blocks.map((b, i) => {
+    const rest = omit(b, "superset");
+    if (i === 0 || b.pattern === "rehab" || b.circuit || !isSetBased(b)) {
+      open = null;
+      return rest;
+    }
+    if (open === null) {
+      open = String.fromCharCode(65 + pair++);
+      const next = blocks[i + 1];
+      if (!next || next.pattern === "rehab" || next.circuit || !isSetBased(next)) {
+        open = null;
+        pair--;
+        return rest;
+      }
+      return { ...rest, superset: `${open}1` };
+    }
+    const label = `${open}2`;
+    open = null;
+    return { ...rest, superset: label };
+  });
+}
+
+// Trim (superset → fewer accessory sets → optional finisher → drop accessories) or extend (more sets → extra
+// accessories) so the projected session fits profile.minutesPerSession.
+function fitSessionToBudget(session, payload) {
+  const budget = Number(payload.athlete.minutesPerSession) || 60;
+  const kit = payload.athlete.equipment;
+  const removed = [...(session.removed || [])];
+  const changes = [];
+  let blocks = session.blocks;
+  let finisher = session.finisher;
+  let supersets = false;
+  const total = () => sessionMinutes({ ...session, blocks, finisher });
+  const isAccessory = (b, i) => i > 0 && b.pattern !== "rehab";
+  // Circuits keep the same round count across stations, so their sets are left alone.
+  const isAdjustable = (b, i) => isAccessory(b, i) && isSetBased(b) && !b.circuit;
+
+  if (total() > budget) {
+    blocks = pairSupersets(blocks);
+    supersets = true;
+    changes.push("supersets");
+  }
+  let trimmed = 0;
+  for (let i = blocks.length - 1; i > 0 && total() > budget; i--) {
+    while (isAdjustable(blocks[i], i) && blocks[i].slots > 2 && total() > budget) {
+      blocks = blocks.map((b, idx) => (idx === i ? withSets(b, b.slots - 1) : b));
+      trimmed++;
+    }
+  }
+  if (trimmed) changes.push(`−${trimmed} accessory set${trimmed > 1 ? "s" : ""}`);
+  if (total() > budget && finisherMinutes(finisher) > 0) {
+    finisher = `${finisher} (optional – time cap)`;
+    changes.push("finisher optional");
+  }
+  for (let i = blocks.length - 1; i > 0 && total() > budget; i--) {
+    if (!isAccessory(blocks[i], i)) continue;
+    removed.push({ move: blocks[i].move, reason: `time budget (${budget} min)` });
+    changes.push(`dropped ${blocks[i].move}`);
+    blocks = blocks.filter((_, idx) => idx !== i);
+    if (supersets) blocks = pairSupersets(blocks);
+  }
+
+  // Deloads, tapers and load spikes keep their reduced volume even when there is time to spare.
+  const deload = phaseModifiers[session.phase || payload.phase]?.lowVolume || payload.trainingLoad?.level;
+  if (!deload && total() <= budget - 10) {
+    let added = 0;
+    blocks.forEach((b, i) => {
+      if (isAdjustable(b, i) && b.slots < 5) {
+        const next = blocks.map((x, idx) => (idx === i ? withSets(x, x.slots + 1) : x));
+        if (sessionMinutes({ ...session, blocks: next, finisher }) <= budget) {
+          blocks = next;
+          added++;
+        }
+      }
+    });
+    if (added) changes.push(`+${added} accessory set${added > 1 ? "s" : ""}`);
+    const patterns = new Set(blocks.map((b) => b.pattern));
+    accessoryPool
+      .filter((b) => hasEquipment(b.move, kit) && !injuryHits(b.move, payload.constraints).length)
+      .forEach((b) => {
+        const extra = { ...b, pattern: exerciseLibrary[b.move]?.pattern || null };
+        if (!patterns.has(extra.pattern) && total() + blockMinutes(extra) <= budget - 5) {
+          patterns.add(extra.pattern);
+          blocks = [...blocks, extra];
+          changes.push(`added ${b.move}`);
+        }
+      });
+  }
+
+  return withEstimates({
+    ...session,
+    blocks,
+    finisher,
+    ...(removed.length ? { removed } : {}),
+    ...(changes.length ? { budgetNote: `Fitted to ${budget} min: ${changes.join(", ")}` } : {}),
+  });
+}
+
 // Movement templates
 const templates = {
   lower_strength: (constraints) => ({
@@ -112,6 +638,7 @@ const templates = {
       { move: "Grip Roll-ups", scheme: "3x to fatigue", targetRPE: 8, slots: 3 },
     ],
     finisher: "Nasal Walk 6–10min or Sled Drags",
+    conditioning: "finisher", // replaced by a prescribed piece, see Conditioning
   }),
   upper_shoulder_safe: (constraints) => ({
     title: "Upper Push/Pull (Shoulder-Safe)",
@@ -142,229 +669,3439 @@ const templates = {
       { move: "Carries Mix", scheme: "5–8min", targetRPE: 7, slots: 1 },
     ],
     finisher: "Easy Zone-2 15–20min optional",
+    conditioning: "main",
+  }),
+
+  // General strength: classic lower/upper/full rotation, rep ranges from the phase rx.
+  gs_lower: (constraints, rx) => ({
+    title: "Lower Strength",
+    warmup: ["Hip Airplanes 2x5/side", "Goblet Squat Prying 2x5", "Glute Bridge 2x10"],
+    blocks: [
+      { move: "Back Squat", scheme: `${rx.main.sets}x${rx.main.reps} @${rx.main.rpe}`, targetRPE: rx.main.rpe, slots: rx.main.sets },
+      { move: "RDL", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+      { move: "Split Squat", scheme: `3x${rx.accessory.reps}/side @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+      { move: "Carry (Farmer)", scheme: "3x40m", targetRPE: 7, slots: 3 },
+    ],
+    finisher: "Easy bike 5min",
+    conditioning: "finisher",
+  }),
+  gs_upper: (constraints, rx) => ({
+    title: "Upper Strength",
+    warmup: ["Scap CARs 2x5", "Band Pull-Aparts 2x15", "Push-up 2x8"],
+    blocks: [
+      {
+        move: constraints?.shoulder ? "DB Neutral Press" : "Barbell Bench Press",
+        scheme: `${rx.main.sets}x${rx.main.reps} @${rx.main.rpe}`,
+        targetRPE: rx.main.rpe,
+        slots: rx.main.sets,
+      },
+      { move: "Barbell Row", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+      { move: constraints?.shoulder ? "Landmine Press" : "Overhead Press", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+      { move: "Pull-ups or Pulldown", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+    ],
+    finisher: "Band External Rotations 2x15",
+  }),
+  gs_full: (constraints, rx) => ({
+    title: "Full Body Strength",
+    warmup: ["World’s Greatest 2x", "KB Deadlift 2x8", "Push-up 2x6"],
+    blocks: [
+      { move: "Deadlift", scheme: `${rx.main.sets}x${rx.main.reps} @${rx.main.rpe}`, targetRPE: rx.main.rpe, slots: rx.main.sets },
+      { move: "DB Bench Press", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+      { move: "Goblet Squat", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+      { move: "Chest-Supported Row", scheme: `3x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: 3 },
+    ],
+    finisher: "Suitcase Carry 2x30m/side",
+  }),
+
+  // Fat loss: short-rest circuits and density blocks; rounds and clock come from the phase rx.
+  fl_circuit_a: (constraints, rx) => ({
+    title: "Metabolic Circuit A",
+    warmup: ["Jumping Jacks 2x30s", "Inchworms 2x5", "Bodyweight Squat 2x10"],
+    blocks: [
+      { move: "Goblet Squat", scheme: `${rx.rounds} rounds x 12`, targetRPE: 7, slots: rx.rounds, restSec: 15, circuit: "A" },
+      { move: "Push-up", scheme: `${rx.rounds} rounds x 10`, targetRPE: 7, slots: rx.rounds, restSec: 15, circuit: "A" },
+      { move: "Band Row", scheme: `${rx.rounds} rounds x 15`, targetRPE: 7, slots: rx.rounds, restSec: 15, circuit: "A" },
+      { move: "KB Swings", scheme: `${rx.rounds} rounds x 15`, targetRPE: 7, slots: rx.rounds, restSec: 60, circuit: "A" },
+    ],
+    finisher: `Incline Walk ${rx.densityMin}min`,
+  }),
+  fl_circuit_b: (constraints, rx) => ({
+    title: "Metabolic Circuit B",
+    warmup: ["High Knees 2x20s", "World’s Greatest 2x", "Band Pull-Aparts 2x15"],
+    blocks: [
+      { move: "DB RDL", scheme: `${rx.rounds} rounds x 12`, targetRPE: 7, slots: rx.rounds, restSec: 15, circuit: "A" },
+      { move: "Half-Kneeling KB Press", scheme: `${rx.rounds} rounds x 8/side`, targetRPE: 7, slots: rx.rounds, restSec: 15, circuit: "A" },
+      { move: "Split Squat", scheme: `${rx.rounds} rounds x 10/side`, targetRPE: 7, slots: rx.rounds, restSec: 15, circuit: "A" },
+      { move: "Carry (Farmer)", scheme: `${rx.rounds} rounds x 40m`, targetRPE: 7, slots: rx.rounds, restSec: 60, circuit: "A" },
+    ],
+    finisher: `Bike Intervals ${rx.densityMin}min (30s on / 30s off)`,
+  }),
+  fl_density: (constraints, rx) => ({
+    title: "Density Day",
+    warmup: ["Jump Rope 3min", "Cossack 2x6/side"],
+    blocks: [
+      { move: "KB Swings", scheme: `Density ${rx.densityMin}min: sets of 10, log total reps`, targetRPE: 7, slots: 1 },
+      { move: "Goblet Squat", scheme: `Density ${rx.densityMin}min: sets of 8, log total reps`, targetRPE: 7, slots: 1 },
+      { move: "Push-up", scheme: `Density ${Math.max(4, rx.densityMin - 2)}min: sets of 8`, targetRPE: 7, slots: 1 },
+      { move: "Sled Push/Drag", scheme: `Density ${Math.max(4, rx.densityMin - 2)}min: 20m trips`, targetRPE: 7, slots: 1 },
+    ],
+    finisher: "Easy Walk 10min",
+  }),
+
+  // Youth: movement skill first, submaximal loading only.
+  youth_a: (constraints, rx) => ({
+    title: "Athletic Foundations A",
+    warmup: ["Bear Crawl 2x10m", "Skips & Bounds 2x15m", "Landing Drills 2x5"],
+    blocks: [
+      { move: "Broad Jumps", scheme: "3x3 stick the landing", targetRPE: 6, slots: 3 },
+      { move: "Goblet Squat", scheme: `${rx.main.sets}x${rx.main.reps} technique @${rx.main.rpe}`, targetRPE: rx.main.rpe, slots: rx.main.sets },
+      { move: "Push-up", scheme: `${rx.accessory.sets}x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: rx.accessory.sets },
+      { move: "Band Row", scheme: `${rx.accessory.sets}x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: rx.accessory.sets },
+    ],
+    finisher: "Agility Games 8min",
+  }),
+  youth_b: (constraints, rx) => ({
+    title: "Athletic Foundations B",
+    warmup: ["Crab Walk 2x10m", "A-Skips 2x15m", "Hip Airplanes 2x5/side"],
+    blocks: [
+      { move: "DB RDL", scheme: `${rx.main.sets}x${rx.main.reps} technique @${rx.main.rpe}`, targetRPE: rx.main.rpe, slots: rx.main.sets },
+      { move: "Split Squat", scheme: `${rx.accessory.sets}x${rx.accessory.reps}/side @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: rx.accessory.sets },
+      { move: "Inverted Row", scheme: `${rx.accessory.sets}x${rx.accessory.reps} @${rx.accessory.rpe}`, targetRPE: rx.accessory.rpe, slots: rx.accessory.sets },
+      { move: "Bear Hug Carry (odd object)", scheme: "3x20m", targetRPE: 6, slots: 3 },
+    ],
+    finisher: "Tag / Relay Races 8min",
   }),
 };
 
-function inferConstraints(profile) {
-  const c = {};
-  if (profile.injuries?.some((i) => i.area === "shoulder")) c.shoulder = true;
-  return c;
+// ---------------------- Program Tracks ----------------------
+// One track per profile.goal: its weekly structure (focus per training day), the
+// per-phase prescription (rx) passed to its templates, and hard caps.
+const programTracks = {
+  bjj_strength: {
+    label: "BJJ Strength",
+    rotation: ["lower_strength", "upper_shoulder_safe", "gpp"],
+    // No per-phase prescription of its own: phaseModifiers scale the templates instead.
+    usesPhaseModifiers: true,
+    cues: ["Own the positions.", "Leave 1–2 reps in the tank."],
+    phases: {
+      Base: { rpeCap: 10 },
+      Build: { rpeCap: 10 },
+      Peak: { rpeCap: 10 },
+      Deload: { rpeCap: 10 },
+    },
+  },
+  general_strength: {
+    label: "General Strength",
+    rotation: ["gs_lower", "gs_upper", "gs_full"],
+    cues: ["Brace before every rep.", "Same bar speed on every set."],
+    phases: {
+      Base: { rpeCap: 9, main: { sets: 4, reps: 8, rpe: 7 }, accessory: { reps: "10–12", rpe: 7 } },
+      Build: { rpeCap: 9, main: { sets: 4, reps: 5, rpe: 8 }, accessory: { reps: "8–10", rpe: 8 } },
+      Peak: { rpeCap: 9, main: { sets: 5, reps: 3, rpe: 8 }, accessory: { reps: "6–8", rpe: 8 } },
+      Deload: { rpeCap: 7, main: { sets: 3, reps: 5, rpe: 6 }, accessory: { reps: "8–10", rpe: 6 } },
+    },
+  },
+  fat_loss: {
+    label: "Fat Loss",
+    rotation: ["fl_circuit_a", "fl_circuit_b", "fl_density"],
+    cues: ["Keep moving between stations.", "Smooth reps beat fast sloppy reps."],
+    phases: {
+      Base: { rpeCap: 8, rounds: 3, densityMin: 8 },
+      Build: { rpeCap: 8, rounds: 4, densityMin: 10 },
+      Peak: { rpeCap: 8, rounds: 4, densityMin: 12 },
+      Deload: { rpeCap: 6, rounds: 2, densityMin: 6 },
+    },
+  },
+  youth: {
+    label: "Youth Athlete",
+    rotation: ["youth_a", "youth_b"],
+    noMaxEffort: true,
+    cues: ["Quality before load.", "Stop the set when technique changes."],
+    // No peaking for youth: Peak trains like Build.
+    phases: {
+      Base: { rpeCap: 7, main: { sets: 3, reps: 8, rpe: 6 }, accessory: { sets: 2, reps: "8–10", rpe: 6 } },
+      Build: { rpeCap: 7, main: { sets: 3, reps: 6, rpe: 7 }, accessory: { sets: 3, reps: "8–10", rpe: 6 } },
+      Peak: { rpeCap: 7, main: { sets: 3, reps: 6, rpe: 7 }, accessory: { sets: 3, reps: "8–10", rpe: 6 } },
+      Deload: { rpeCap: 6, main: { sets: 2, reps: 8, rpe: 5 }, accessory: { sets: 2, reps: "8", rpe: 5 } },
+    },
+  },
+};
+
+function trackFor(goal) {
+  return programTracks[goal] || programTracks.bjj_strength;
 }
 
-// Choose focus given day + BJJ schedule
-function chooseFocus(day, profile) {
-  const bjjTomorrow = profile.bjjDays.includes(nextDay(day));
-  if (day === "Mon") return "lower_strength";
-  if (day === "Thu") return "upper_shoulder_safe";
-  if (day === "Sat") return "gpp";
-  // keep it simple
-  return bjjTomorrow ? "upper_shoulder_safe" : "lower_strength";
+// The week's session templates, in rotation order; the scheduler decides which day each lands on.
+function weekFocuses(athlete) {
+  const track = trackFor(athlete.goal);
+  const n = Math.min(athlete.sessionsPerWeek || athlete.daysAvailable.length, athlete.daysAvailable.length);
+  return Array.from({ length: n }, (_, i) => track.rotation[i % track.rotation.length]);
 }
 
-function nextDay(day) {
-  const idx = weekdays.indexOf(day);
-  return weekdays[(idx + 1) % 7];
+// Rewrite every RPE in a scheme ("@8", "@7–8"); percentages ("@70–75%") are left alone.
+function mapSchemeRPE(scheme, fn) {
+  return scheme.replace(/@\s*(\d{1,2}(?:\.\d)?)(?:–(\d{1,2}(?:\.\d)?))?(?![\d%–])/g, (m, lo, hi) => fn(m, Number(lo), hi == null ? null : Number(hi)));
 }
 
-// ---------------------- AI Placeholder ----------------------
-async function aiGenerateSessions(profile, readiness, lastWeek, phase, weekIndex) {
-  // TODO: Replace this with a real OpenAI call.
-  // The function returns minimal JSON the UI expects.
-  const constraints = inferConstraints(profile);
-  const plan = profile.daysAvailable.map((d) => {
-    const focus = chooseFocus(d, profile);
-    const tmpl = templates[focus](constraints);
-    return {
-      id: shortId(),
-      day: d,
-      title: tmpl.title,
-      warmup: tmpl.warmup,
-      blocks: tmpl.blocks.map((b) => ({
-        ...b,
-        loadSuggestion: b.targetRPE >= 8 ? suggestStartingLoad(b.move, lastWeek) : null,
-      })),
-      finisher: tmpl.finisher,
-      cues: ["Own the positions.", "Leave 1–2 reps in the tank."],
-    };
-  });
-  return { phase, weekIndex, plan, notes: phase === "Deload" ? "Keep effort @6–7, cut 30% volume." : "" };
+function capSchemeRPE(scheme, cap) {
+  return mapSchemeRPE(scheme, (m, lo, hi) => ((hi ?? lo) > cap ? `@${Math.min(lo, cap)}` : m));
 }
 
-function suggestStartingLoad(move, lastWeek) {
-  // Look for a related movement in last week logs, then adjust modestly.
-  const last = [...(lastWeek || [])].reverse().find((s) => s.completed?.some?.(() => true));
-  if (!last) return null;
-  const comp = last.completed?.find?.((x) => x.move?.toLowerCase?.().includes(move.split(" ")[0].toLowerCase()));
-  if (!comp) return null;
-  const base = comp.lastLoad || 0;
-  return Math.round(base * 1.02);
+// Competition phases borrow the nearest regular prescription.
+const rxFallback = { Taper: "Peak", Primer: "Peak", Return: "Deload" };
+
+function trackRx(track, phase) {
+  return track.phases[phase] || track.phases[rxFallback[phase]] || track.phases.Base;
 }
 
-// ---------------------- Component ----------------------
-export default function App() {
-  const [state, setState] = useState(() => load("move_mvp_state", defaultState));
-  const [loading, setLoading] = useState(false);
-  const [toast, setToast] = useState("");
+// Track caps apply to every plan, AI or not: RPE ceiling per phase, and no max-effort work for youth.
+function applyTrackRules(session, payload) {
+  const track = trackFor(payload.athlete.goal);
+  const rx = trackRx(track, session.phase || payload.phase);
+  return {
+    ...session,
+    blocks: session.blocks.map((b) => {
+      let out = b;
+      if (track.noMaxEffort && /top set|max|1rm|amrap/i.test(out.scheme)) {
+        out = addNote({ ...out, scheme: `${out.slots}x5 technique @${rx.rpeCap - 1}`, targetRPE: rx.rpeCap - 1, loadSuggestion: null }, `${track.label}: no max-effort sets`);
+      }
+      if (out.targetRPE > rx.rpeCap) out = { ...out, targetRPE: rx.rpeCap, scheme: capSchemeRPE(out.scheme, rx.rpeCap) };
+      return out;
+    }),
+  };
+}
 
-  useEffect(() => {
-    save("move_mvp_state", state);
-  }, [state]);
+// ---------------------- Weekly Scheduler ----------------------
+// Every layout of the week's sessions over the candidate days is scored; the best one wins.
+// Demand is read from a session's blocks, so AI plans and moved sessions are scored the same way.
+const UPPER_PATTERNS = ["horizontal_press", "vertical_press", "horizontal_pull", "vertical_pull"];
 
-  const constraints = useMemo(() => inferConstraints(state.profile), [state.profile]);
+const SCHEDULE_WEIGHTS = {
+  heavyLowerBeforeBJJ: 3, // × BJJ intensity factor
+  heavyLowerSameDayBJJ: 1,
+  heavyLowerAfterBJJ: 1,
+  samePatternBackToBack: 4,
+  samePatternOneDayApart: 1,
+  backToBack: 0.5,
+  preferredDay: 1,
+  dropped: 10,
+};
 
-  // Derived KPIs
-  const adherence = useMemo(() => {
-    const planned = state.sessions.length;
-    const completed = state.sessionLogs.filter((l) => l.weekIndex === state.weekIndex).length;
-    return planned ? Math.round((completed / planned) * 100) : 0;
-  }, [state.sessions, state.sessionLogs, state.weekIndex]);
+function sessionDemand(blocks) {
+  const work = blocks.filter((b) => isSetBased(b) && (b.pattern || exerciseLibrary[b.move]?.pattern) !== "rehab");
+  const pattern = (b) => b.pattern || exerciseLibrary[b.move]?.pattern;
+  const lowerBlocks = work.filter((b) => ["squat", "hinge"].includes(pattern(b)));
+  const upper = work.some((b) => UPPER_PATTERNS.includes(pattern(b)));
+  const region = lowerBlocks.length && upper ? "full" : lowerBlocks.length ? "lower" : upper ? "upper" : "conditioning";
+  return { region, heavyLower: lowerBlocks.some((b) => b.targetRPE >= 7) };
+}
 
-  const redFlags = useMemo(() => {
-    return state.sessionLogs
-      .filter((l) => l.weekIndex === state.weekIndex)
-      .filter((l) => l.painFlag >= 3 || (l.rpeAvg ?? 0) >= 9 || l.missed)
-      .map((l) => ({ id: l.id, date: l.date, reason: l.missed ? "Missed session" : l.painFlag >= 3 ? `Pain ${l.painFlag}/5` : `High RPE ${l.rpeAvg}` }));
-  }, [state.sessionLogs, state.weekIndex]);
+const regionLabel = { lower: "Lower", upper: "Upper", full: "Full body", conditioning: "Conditioning" };
 
-  async function generateWeek() {
-    setLoading(true);
-    try {
-      const res = await aiGenerateSessions(
-        state.profile,
-        state.readinessToday,
-        state.sessionLogs.filter((l) => l.weekIndex === state.weekIndex - 1),
-        state.currentPhase,
-        state.weekIndex
-      );
-      setState((s) => ({ ...s, sessions: res.plan }));
-      setToast("✅ Week generated.");
-    } catch (e) {
-      console.error(e);
-      setToast("⚠️ Failed to generate. Using fallback.");
-    } finally {
-      setLoading(false);
-      setTimeout(() => setToast(""), 3000);
-    }
-  }
+function regionsClash(a, b) {
+  if (a === "conditioning" || b === "conditioning") return a === b;
+  return a === b || a === "full" || b === "full";
+}
 
-  function logSession(session, log) {
-    const id = shortId();
-    const rpeAvg = average(log.completed?.map((c) => Number(c.rpe) || 0));
-    const painFlag = Number(log.painFlag || 0);
-    const entry = { id, weekIndex: state.weekIndex, date: new Date().toISOString().slice(0, 10), rpeAvg, painFlag, ...log };
-    setState((s) => ({ ...s, sessionLogs: [...s.sessionLogs, entry] }));
-    setToast("📘 Session logged.");
-    setTimeout(() => setToast(""), 2500);
-  }
+// Typical sRPE per BJJ day from the last four weeks of mat logs; moderate (6) when unknown.
+function bjjIntensity(profile, matLogs = [], today = new Date().toISOString().slice(0, 10)) {
+  const end = dayNumber(today);
+  const recent = matLogs.filter((l) => isISODate(l.date) && end - dayNumber(l.date) < 28 && end >= dayNumber(l.date));
+  return Object.fromEntries(
+    profile.bjjDays.map((d) => {
+      const hits = recent.filter((l) => weekdays[(new Date(dayNumber(l.date) * 864e5).getUTCDay() + 6) % 7] === d);
+      return [d, hits.length ? average(hits.map((l) => Number(l.srpe))) : 6];
+    })
+  );
+}
+
+const intensityLabel = (v) => (v >= 8 ? "hard" : v >= 6 ? "moderate" : "light");
+const intensityFactor = (v) => (v >= 8 ? 2 : v >= 6 ? 1 : 0.5);
+
+// Days apart within a repeating week (Sun → Mon is 1).
+function dayGap(a, b) {
+  const d = Math.abs(weekdays.indexOf(a) - weekdays.indexOf(b));
+  return Math.min(d, 7 - d);
+}
+
+function shiftDay(day, n) {
+  return weekdays[(weekdays.indexOf(day) + n + 7) % 7];
+}
 
-  function applyQuickAction(type) {
-    if (type === "deload") {
-      setState((s) => ({ ...s, currentPhase: "Deload" }));
-      setToast("🧯 Deload toggled for this block.");
+// ctx: { bjjDays, intensity: { day: sRPE }, preferredDays, fixed: [{ day, demand }] }
+function scoreLayout(placed, ctx) {
+  let score = 0;
+  const tradeoffs = [];
+  const bjj = (day) => (ctx.bjjDays.includes(day) ? ctx.intensity[day] ?? 6 : null);
+  placed.forEach((s) => {
+    if (s.demand.heavyLower) {
+      const next = bjj(shiftDay(s.day, 1));
+      const same = bjj(s.day);
+      const prev = bjj(shiftDay(s.day, -1));
+      if (next != null) {
+        score -= SCHEDULE_WEIGHTS.heavyLowerBeforeBJJ * intensityFactor(next);
+        tradeoffs.push(`${s.day} heavy lower is the day before ${intensityLabel(next)} BJJ (${shiftDay(s.day, 1)})`);
+      }
+      if (same != null) {
+        score -= SCHEDULE_WEIGHTS.heavyLowerSameDayBJJ * intensityFactor(same);
+        tradeoffs.push(`${s.day} heavy lower shares the day with ${intensityLabel(same)} BJJ`);
+      }
+      if (prev != null) score -= SCHEDULE_WEIGHTS.heavyLowerAfterBJJ * intensityFactor(prev);
     }
-    if (type === "cap_sets") {
-      setState((s) => ({
-        ...s,
-        sessions: s.sessions.map((sess) => ({
-          ...sess,
-          blocks: sess.blocks.map((b) => ({ ...b, scheme: b.scheme + " (−1 set)", slots: Math.max(1, (b.slots || 2) - 1) })),
-        })),
-      }));
-      setToast("✂️ Volume capped by −1 set.");
+    if (ctx.preferredDays.includes(s.day)) score += SCHEDULE_WEIGHTS.preferredDay;
+  });
+  const all = [...(ctx.fixed || []), ...placed];
+  placed.forEach((s, i) => {
+    all.slice(0, (ctx.fixed || []).length + i).forEach((o) => {
+      const gap = dayGap(s.day, o.day);
+      if (gap === 1) score -= SCHEDULE_WEIGHTS.backToBack;
+      if (!regionsClash(s.demand.region, o.demand.region)) return;
+      if (gap === 1) {
+        score -= SCHEDULE_WEIGHTS.samePatternBackToBack;
+        tradeoffs.push(`${regionLabel[s.demand.region]} on ${s.day} is back-to-back with ${regionLabel[o.demand.region]} on ${o.day}`);
+      } else if (gap === 2) score -= SCHEDULE_WEIGHTS.samePatternOneDayApart;
+    });
+  });
+  return { score, tradeoffs };
+}
+
+// units: [{ id, demand, days? }] – `days` restricts where a unit may go (e.g. a pinned move).
+// Days already holding a fixed session (ctx.fixed) never take another one.
+// When there are more units than days, the cheapest ones are dropped.
+function bestLayout(units, days, ctx) {
+  let best = null;
+  let options = 0;
+  const dropCost = (u) => SCHEDULE_WEIGHTS.dropped + (u.demand.region === "conditioning" ? 0 : 5);
+  const place = (i, used, placed, dropped, dropPenalty) => {
+    if (i === units.length) {
+      options++;
+      const { score, tradeoffs } = scoreLayout(placed, ctx);
+      if (!best || score - dropPenalty > best.score) best = { score: score - dropPenalty, placed, dropped, tradeoffs };
+      return;
     }
-    if (type === "swap_press") {
-      setState((s) => ({
-        ...s,
-        sessions: s.sessions.map((sess) => ({
-          ...sess,
-          blocks: sess.blocks.map((b) =>
-            /press/i.test(b.move) ? { ...b, move: "DB Neutral Press", scheme: b.scheme + " (shoulder-safe)" } : b
-          ),
-        })),
-      }));
-      setToast("🔁 Swapped pressing to DB Neutral.");
+    const u = units[i];
+    (u.days || days).forEach((d) => {
+      if (!used.has(d)) place(i + 1, new Set([...used, d]), [...placed, { ...u, day: d }], dropped, dropPenalty);
+    });
+    if (units.length - dropped.length > days.length || !(u.days || days).some((d) => !used.has(d))) {
+      place(i + 1, used, placed, [...dropped, u], dropPenalty + dropCost(u));
     }
-    setTimeout(() => setToast(""), 2500);
-  }
+  };
+  place(0, new Set(ctx.fixed.map((f) => f.day)), [], [], 0);
+  best.placed.sort((a, b) => weekdays.indexOf(a.day) - weekdays.indexOf(b.day));
+  return { ...best, options };
+}
 
-  function nextWeek() {
-    // Simple block periodization: every 4th week → deload, then advance phase
-    const nextIndex = state.weekIndex + 1;
-    let nextPhase = state.currentPhase;
-    if (nextIndex % 4 === 0) nextPhase = "Deload";
-    else if (state.currentPhase === "Base") nextPhase = "Build";
-    else if (state.currentPhase === "Build") nextPhase = "Peak";
-    else if (state.currentPhase === "Deload") nextPhase = "Base";
-
-    setState((s) => ({ ...s, weekIndex: nextIndex, currentPhase: nextPhase, sessions: [] }));
-    setToast(`⏭️ Advanced to week ${nextIndex} (${nextPhase}).`);
-    setTimeout(() => setToast(""), 2500);
-  }
+// One line per session on why it sits where it does.
+function explainPlacement(s, ctx) {
+  const label = regionLabel[s.demand.region];
+  if (s.demand.heavyLower && ctx.bjjDays.includes(s.day)) return `${label}: same day as BJJ, so lift first and keep rolls light.`;
+  const nextBJJ = [1, 2, 3, 4, 5, 6].find((n) => ctx.bjjDays.includes(shiftDay(s.day, n)));
+  if (!s.demand.heavyLower || !nextBJJ) return `${label}${ctx.preferredDays.includes(s.day) ? " on a preferred day" : ""}.`;
+  const bjjDay = shiftDay(s.day, nextBJJ);
+  const level = intensityLabel(ctx.intensity[bjjDay] ?? 6);
+  return nextBJJ === 1
+    ? `${label}: day before ${level} BJJ (${bjjDay}), no better slot this week.`
+    : `${label}: ${nextBJJ} days clear before ${level} BJJ (${bjjDay}).`;
+}
 
-  return (
-    <div className="min-h-screen bg-slate-50 text-slate-900">
-      <header className="sticky top-0 z-10 bg-white border-b border-slate-200">
-        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
-          <h1 className="text-xl sm:text-2xl font-bold">M.O.V.E. AI Coaching – MVP</h1>
-          <div className="text-sm opacity-70">Phase: {state.currentPhase} · Week {state.weekIndex} · Adherence {adherence}%</div>
-        </div>
-      </header>
+function layoutSummary(layout) {
+  const days = layout.placed.map((s) => `${s.day} ${regionLabel[s.demand.region].toLowerCase()}`).join(", ");
+  const parts = days ? [`Schedule: ${days} (best of ${layout.options} layout${layout.options === 1 ? "" : "s"}).`] : [];
+  if (layout.tradeoffs.length) parts.push(`Trade-offs: ${layout.tradeoffs.join("; ")}.`);
+  if (layout.dropped.length) parts.push(`No room for ${layout.dropped.map((u) => u.title || u.id).join(", ")}.`);
+  return parts.join(" ") || "Nothing left to re-place this week.";
+}
 
-      <main className="max-w-6xl mx-auto px-4 py-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Left Column: Onboarding & Generator */}
-        <section className="lg:col-span-1 space-y-6">
-          <Card title="Onboarding">
-            <OnboardingForm value={state.profile} onChange={(p) => setState((s) => ({ ...s, profile: p }))} />
-          </Card>
+function scheduleContext(profile, intensity, fixed = []) {
+  return { bjjDays: profile.bjjDays, intensity, preferredDays: profile.prefs?.preferredDays || [], fixed };
+}
 
-          <Card title="Readiness (Today)">
-            <Readiness value={state.readinessToday} onChange={(r) => setState((s) => ({ ...s, readinessToday: r }))} />
-          </Card>
+// Re-place the rest of the week after a session is missed or moved. Logged sessions stay put and
+// count for spacing; open sessions move to days from `fromDay` on (a missed one only to later days).
+// A missed session with no room left stays in the plan on its day, so adherence still counts it.
+// Returns { sessions, dropped, note }.
+function replanWeek(athlete, { fromDay, missedId = null, moveId = null, toDay = null, today }) {
+  const done = new Set(athlete.sessionLogs.filter((l) => l.weekIndex === athlete.weekIndex && !l.missed).map((l) => l.sessionId));
+  const demandOf = (s) => sessionDemand(s.blocks);
+  const fixed = athlete.sessions.filter((s) => done.has(s.id));
+  const missed = athlete.sessions.filter((s) => !done.has(s.id) && s.id !== missedId && isMissedSession(athlete, s));
+  const open = athlete.sessions.filter((s) => !done.has(s.id) && !missed.includes(s));
+  const taken = new Set([...fixed, ...missed].map((s) => s.day));
+  const from = weekdays.indexOf(fromDay);
+  const days = athlete.profile.daysAvailable.filter((d) => weekdays.indexOf(d) >= from && !taken.has(d));
+  const units = open.map((s) => {
+    if (s.id === moveId) return { id: s.id, title: s.title, demand: demandOf(s), days: [taken.has(toDay) ? s.day : toDay] };
+    if (s.id === missedId) return { id: s.id, title: s.title, demand: demandOf(s), days: days.filter((d) => weekdays.indexOf(d) > weekdays.indexOf(s.day)) };
+    return { id: s.id, title: s.title, demand: demandOf(s), days: weekdays.indexOf(s.day) < from ? [s.day] : days };
+  });
+  const allDays = [...new Set([...days, ...(toDay ? [toDay] : []), ...open.filter((s) => weekdays.indexOf(s.day) < from).map((s) => s.day)])];
+  const ctx = scheduleContext(athlete.profile, bjjIntensity(athlete.profile, athlete.matLogs, today), fixed.map((s) => ({ day: s.day, demand: demandOf(s) })));
+  const layout = bestLayout(units, allDays, ctx);
+  const byId = Object.fromEntries(layout.placed.map((u) => [u.id, u]));
+  const sessions = athlete.sessions
+    .filter((s) => done.has(s.id) || byId[s.id] || s.id === missedId || missed.includes(s))
+    .map((s) => (byId[s.id] ? { ...s, day: byId[s.id].day, scheduleNote: explainPlacement(byId[s.id], ctx) } : s))
+    .sort((a, b) => weekdays.indexOf(a.day) - weekdays.indexOf(b.day));
+  const stuck = layout.dropped.find((u) => u.id === missedId);
+  const note = layoutSummary({ ...layout, dropped: layout.dropped.filter((u) => u !== stuck) });
+  return { sessions, dropped: layout.dropped, note: stuck ? `${note} No room later this week for ${stuck.title}; it stays marked missed.` : note };
+}
 
-          <Card title="Program Generator">
-            <div className="flex items-center gap-2">
-              <button
-                onClick={generateWeek}
-                disabled={loading}
-                className="px-4 py-2 rounded-2xl bg-slate-900 text-white shadow hover:shadow-md disabled:opacity-50"
-              >
-                {loading ? "Generating…" : "Generate Week"}
-              </button>
-              <button onClick={nextWeek} className="px-3 py-2 rounded-2xl bg-slate-200 hover:bg-slate-300">Next Week</button>
-            </div>
-            <p className="text-xs mt-2 text-slate-500">Respects BJJ days and shoulder-safe swaps. Auto-progression uses readiness & pain flags.</p>
-          </Card>
-        </section>
+// Missed and not re-placed since: the session still sits on the day its miss was logged for.
+function isMissedSession(athlete, s) {
+  return athlete.sessionLogs.some((l) => l.missed && l.weekIndex === athlete.weekIndex && l.sessionId === s.id && l.day === s.day);
+}
 
-        {/* Middle Column: Sessions */}
-        <section className="lg:col-span-2 space-y-6">
-          <Card title="This Week’s Plan">
-            {state.sessions.length === 0 ? (
-              <p className="text-slate-600 text-sm">No sessions yet. Click <b>Generate Week</b> to create your plan.</p>
-            ) : (
-              <div className="space-y-4">
-                {state.sessions.map((s) => (
-                  <SessionCard key={s.id} session={s} onLog={(log) => logSession(s, log)} />
-                ))}
-              </div>
-            )}
-          </Card>
+// ---------------------- Periodization ----------------------
+// A model is a repeating cycle of phase blocks. Each phase scales volume (slots) and shifts
+// intensity (targetRPE); undulating models also rotate the phase session-by-session within a week.
+const phaseModifiers = {
+  Base: { volume: 1, rpe: 0 },
+  Build: { volume: 1, rpe: 0.5 },
+  Peak: { volume: 0.8, rpe: 1 },
+  Deload: { volume: 0.7, rpe: -1.5, lowVolume: true }, // "Keep effort @6–7, cut 30% volume."
+  // Competition phases (see Competition Peaking); Primer is the last few days before an event.
+  Taper: { volume: 0.6, rpe: 0, lowVolume: true },
+  Primer: { volume: 0.5, rpe: -1.5, lowVolume: true },
+  Return: { volume: 0.6, rpe: -2, lowVolume: true },
+};
 
-          <Card title="Coach Dashboard – Triage">
-            {redFlags.length === 0 ? (
-              <p className="text-slate-600 text-sm">No red flags this week. Keep rolling. 🥋</p>
-            ) : (
-              <ul className="text-sm list-disc pl-5 space-y-1">
-                {redFlags.map((f) => (
-                  <li key={f.id}>{f.date}: {f.reason}</li>
-                ))}
+const periodizationModels = {
+  linear: {
+    label: "Linear (Base → Build → Peak)",
+    cycle: [
+      { phase: "Base", weeks: 3 },
+      { phase: "Build", weeks: 3 },
+      { phase: "Peak", weeks: 2 },
+      { phase: "Deload", weeks: 1 },
+    ],
+  },
+  undulating: {
+    label: "Undulating (phase rotates per session)",
+    cycle: [
+      { phase: "Base", weeks: 3 },
+      { phase: "Deload", weeks: 1 },
+    ],
+    undulate: ["Base", "Build", "Peak"],
+  },
+  block: {
+    label: "Block (accumulate → intensify → realize)",
+    cycle: [
+      { phase: "Base", weeks: 4 },
+      { phase: "Deload", weeks: 1 },
+      { phase: "Build", weeks: 3 },
+      { phase: "Deload", weeks: 1 },
+      { phase: "Peak", weeks: 2 },
+      { phase: "Deload", weeks: 1 },
+    ],
+  },
+};
+
+function modelFor(id) {
+  return periodizationModels[id] || periodizationModels.linear;
+}
+
+// Flatten a cycle into one phase per week: [Base, Base, Base, Build, …].
+function cycleWeeks(model) {
+  return model.cycle.flatMap((b) => Array.from({ length: b.weeks }, () => b.phase));
+}
+
+function firstWeekOf(modelId, phase) {
+  return Math.max(0, cycleWeeks(modelFor(modelId)).indexOf(phase));
+}
+
+// Phase for the nth training day of the week (undulating models), else the week's phase.
+// Only Base weeks undulate, so deloads and competition weeks keep a single phase.
+function sessionPhase(model, weekPhase, index) {
+  if (!model.undulate || weekPhase !== "Base") return weekPhase;
+  return model.undulate[index % model.undulate.length];
+}
+
+// Tracks with their own per-phase rx already encode each phase's volume and effort; scaling
+// those again would count the phase twice.
+function phaseBlock(block, track, phase) {
+  return track.usesPhaseModifiers ? applyPhaseModifiers(block, phase) : block;
+}
+
+function applyPhaseModifiers(block, phase) {
+  const mod = phaseModifiers[phase] || phaseModifiers.Base;
+  if (!isSetBased(block) || block.pattern === "rehab") return block;
+  let out = block;
+  const slots = Math.max(1, Math.round(block.slots * mod.volume));
+  if (slots !== block.slots) out = withSets(out, slots);
+  if (mod.rpe) {
+    const shift = (v) => Math.min(10, Math.max(5, Math.round((v + mod.rpe) * 2) / 2));
+    out = { ...out, targetRPE: shift(out.targetRPE), scheme: mapSchemeRPE(out.scheme, (m, lo, hi) => `@${shift(lo)}${hi != null ? `–${shift(hi)}` : ""}`) };
+  }
+  return out;
+}
+
+// Reasons to deload now rather than on schedule: pain or accumulated high effort over the last two weeks.
+function fatigueTrigger(athlete) {
+  const recent = athlete.sessionLogs.filter((l) => l.weekIndex >= athlete.weekIndex - 1);
+  const severe = recent.filter((l) => l.painFlag >= 4);
+  if (severe.length) return `pain ${severe[severe.length - 1].painFlag}/5 logged`;
+  const painful = recent.filter((l) => l.painFlag >= 3).length;
+  if (painful >= 2) return `${painful} sessions with pain ≥3 in two weeks`;
+  const rpe = average(recent.map((l) => l.rpeAvg));
+  if (recent.length >= 3 && rpe >= 8.5) return `avg session RPE ${rpe} over two weeks`;
+  return null;
+}
+
+// Next week's { weekIndex, currentPhase, periodization } for an athlete. A reactive deload
+// is inserted without moving the cycle; the scheduled block resumes afterwards.
+function advanceWeek(athlete) {
+  const p = athlete.periodization;
+  const weeks = cycleWeeks(modelFor(p.model));
+  const weekIndex = athlete.weekIndex + 1;
+  const trigger = athlete.currentPhase !== "Deload" ? fatigueTrigger(athlete) : null;
+  if (trigger) {
+    const upcoming = (p.position + 1) % weeks.length;
+    // If the cycle was about to deload anyway, consume that week instead of adding one.
+    const position = weeks[upcoming] === "Deload" ? upcoming : p.position;
+    return { weekIndex, currentPhase: "Deload", periodization: { ...p, position, deloadReason: trigger } };
+  }
+  const position = (p.position + 1) % weeks.length;
+  return { weekIndex, currentPhase: weeks[position], periodization: { ...p, position, deloadReason: null } };
+}
+
+// ---------------------- Competition Peaking ----------------------
+// Weeks are counted back from each event: build → peak → taper, with a lighter primer on the
+// final days and a return-to-training block afterwards. Week 0 is the week of the competition.
+const peakingRules = {
+  A: { label: "A – full peak", build: 4, peak: 2, taper: 2, return: 1, primerDays: 3 },
+  B: { label: "B – short peak", build: 2, peak: 1, taper: 1, return: 1, primerDays: 2 },
+  C: { label: "C – train through", build: 0, peak: 0, taper: 0, return: 0, primerDays: 2 },
+};
+
+const isISODate = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+// Dates are handled as whole UTC days so DST never shifts a week boundary.
+function dayNumber(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return Date.UTC(y, m - 1, d) / 864e5;
+}
+function isoDay(n) {
+  return new Date(n * 864e5).toISOString().slice(0, 10);
+}
+function mondayOf(n) {
+  return n - ((new Date(n * 864e5).getUTCDay() + 6) % 7);
+}
+
+function peakingWeekPhase(rule, weeksOut) {
+  if (weeksOut < 0) return -weeksOut <= rule.return ? "Return" : null;
+  if (weeksOut < rule.taper) return "Taper";
+  if (weeksOut < rule.taper + rule.peak) return "Peak";
+  if (weeksOut < rule.taper + rule.peak + rule.build) return "Build";
+  return null;
+}
+
+// The competition block covering the week starting `monday` (day number), or null.
+// Higher priority wins; a same-week event is kept for its primer days even if it sets no phase.
+function peakingWeek(comps, monday) {
+  const hits = comps
+    .filter((c) => isISODate(c.date))
+    .map((c) => {
+      const weeksOut = Math.round((mondayOf(dayNumber(c.date)) - monday) / 7);
+      return { comp: c, weeksOut, phase: peakingWeekPhase(peakingRules[c.priority] || peakingRules.C, weeksOut) };
+    })
+    .filter((h) => h.phase || h.weeksOut === 0)
+    .sort((a, b) => String(a.comp.priority).localeCompare(String(b.comp.priority)) || Math.abs(a.weeksOut) - Math.abs(b.weeksOut));
+  if (!hits.length) return null;
+  const lead = hits.find((h) => h.phase) || hits[0];
+  const event = hits.find((h) => h.weeksOut === 0) || lead;
+  const { id, name, date, priority } = event.comp;
+  return { phase: lead.phase, weeksOut: lead.weeksOut, comp: { id, name, date, priority }, weekStart: isoDay(monday) };
+}
+
+// Per-day override inside a competition week: no lifting on the day, primer before, return after.
+function peakingDayPhase(peaking, day, weekPhase) {
+  if (!peaking || !isISODate(peaking.weekStart)) return weekPhase;
+  const rule = peakingRules[peaking.comp.priority] || peakingRules.C;
+  const daysTo = dayNumber(peaking.comp.date) - (dayNumber(peaking.weekStart) + weekdays.indexOf(day));
+  if (daysTo === 0) return "Compete";
+  if (daysTo > 0 && daysTo <= rule.primerDays) return "Primer";
+  if (daysTo < 0 && daysTo > -7 && rule.return) return "Return";
+  return weekPhase;
+}
+
+function peakingNote(peaking) {
+  if (!peaking) return "";
+  const { name, date, priority } = peaking.comp;
+  const event = `${name || "competition"} (${priority}, ${date})`;
+  if (peaking.weeksOut < 0) return `Return to training after ${event}: easy volume, no grinders.`;
+  if (peaking.weeksOut === 0) return `Competition week for ${event}: primer on the final days, no lifting on the day.`;
+  return `${peaking.phase} block, ${peaking.weeksOut} wk out from ${event}.`;
+}
+
+// With competitions on the profile, week number and phase follow the date instead of "Next Week".
+// Returns a patch for the athlete, or null when nothing changed. A phase set by the coach mid-week
+// (e.g. a quick-action deload) is kept until the week or the competition block changes.
+function calendarSync(athlete, today) {
+  const comps = (athlete.profile.competitions || []).filter((c) => isISODate(c.date));
+  if (!comps.length) return athlete.peaking || athlete.startDate ? { peaking: null, startDate: null } : null;
+  const monday = mondayOf(dayNumber(today));
+  const start = isISODate(athlete.startDate) ? mondayOf(dayNumber(athlete.startDate)) : monday - 7 * (athlete.weekIndex - 1);
+  const weekIndex = Math.max(1, Math.round((monday - start) / 7) + 1);
+  const peaking = peakingWeek(comps, monday);
+  const samePeak = JSON.stringify(peaking) === JSON.stringify(athlete.peaking);
+  if (weekIndex === athlete.weekIndex && samePeak && athlete.startDate === isoDay(start)) return null;
+
+  let next = { ...athlete, startDate: isoDay(start), peaking };
+  if (peaking?.phase) next.currentPhase = peaking.phase;
+  else if (athlete.peaking?.phase) {
+    // Out of the competition block: restart the periodization cycle.
+    next.periodization = { ...athlete.periodization, position: 0, deloadReason: null };
+    next.currentPhase = cycleWeeks(modelFor(athlete.periodization.model))[0];
+  } else {
+    while (next.weekIndex < weekIndex) next = { ...next, ...advanceWeek(next) };
+  }
+  const patch = { weekIndex, startDate: next.startDate, peaking, currentPhase: next.currentPhase, periodization: next.periodization };
+  return weekIndex !== athlete.weekIndex ? { ...patch, sessions: [] } : patch;
+}
+
+// ---------------------- Training Load ----------------------
+// Internal load = session RPE × minutes (sRPE-load), lifting and mat work combined.
+const matTypes = {
+  drilling: { label: "Drilling", srpe: 4 },
+  positional: { label: "Positional sparring", srpe: 6 },
+  hard_rolls: { label: "Hard rolls", srpe: 8 },
+  competition: { label: "Competition", srpe: 9 },
+};
+
+const LOAD_LIMITS = { acwrHigh: 1.5, acwrCaution: 1.3, monotony: 2 };
+
+function liftLoad(log, profile) {
+  const minutes = Number(log.durationMin) || Number(profile.minutesPerSession) || 60;
+  return (Number(log.srpe ?? log.rpeAvg) || 0) * minutes;
+}
+
+function matLoad(log) {
+  return (Number(log.srpe) || 0) * (Number(log.minutes) || 0);
+}
+
+// Daily { lift, mat } loads for the `days` days ending on `today`, oldest first.
+function dailyLoads(athlete, today, days = 28) {
+  const end = dayNumber(today);
+  const out = Array.from({ length: days }, () => ({ lift: 0, mat: 0 }));
+  const add = (date, key, v) => {
+    if (!isISODate(date)) return;
+    const i = days - 1 - (end - dayNumber(date));
+    if (i >= 0 && i < days) out[i][key] += v;
+  };
+  athlete.sessionLogs.forEach((l) => add(l.date, "lift", liftLoad(l, athlete.profile)));
+  (athlete.matLogs || []).forEach((l) => add(l.date, "mat", matLoad(l)));
+  return out;
+}
+
+// Acute (7-day) vs chronic (28-day weekly average) load, plus Foster's monotony and strain.
+// ACWR stays null until there are three weeks of history, so the first weeks don't read as spikes.
+function trainingLoad(athlete, today = new Date().toISOString().slice(0, 10), limits = LOAD_LIMITS) {
+  const days = dailyLoads(athlete, today);
+  const totals = days.map((d) => d.lift + d.mat);
+  const week = totals.slice(-7);
+  const acute = week.reduce((a, b) => a + b, 0);
+  const chronic = totals.reduce((a, b) => a + b, 0) / 4;
+  const mat = days.slice(-7).reduce((a, d) => a + d.mat, 0);
+  const dates = [...athlete.sessionLogs, ...(athlete.matLogs || [])].map((l) => l.date).filter(isISODate);
+  const history = dates.length ? dayNumber(today) - Math.min(...dates.map(dayNumber)) + 1 : 0;
+  const acwr = history >= 21 && chronic > 0 ? Math.round((acute / chronic) * 100) / 100 : null;
+  const mean = acute / 7;
+  const sd = Math.sqrt(week.reduce((a, v) => a + (v - mean) ** 2, 0) / 7);
+  const monotony = sd > 0 ? Math.round((mean / sd) * 10) / 10 : null;
+  const strain = monotony != null ? Math.round(acute * monotony) : null;
+
+  const reasons = [];
+  let level = null;
+  if (acwr != null && acwr >= limits.acwrHigh) (level = "high"), reasons.push(`ACWR ${acwr}`);
+  else if (acwr != null && acwr >= limits.acwrCaution) (level = "caution"), reasons.push(`ACWR ${acwr}`);
+  if (monotony != null && monotony >= limits.monotony) (level = level || "caution"), reasons.push(`monotony ${monotony}`);
+  return { acute: Math.round(acute), chronic: Math.round(chronic), acwr, monotony, strain, matShare: acute ? Math.round((mat / acute) * 100) : 0, level, reasons };
+}
+
+// A load spike trims the lifting so total load comes down even if mat volume doesn't:
+// high → accessories capped at 2 sets, RPE −1, finisher optional; caution → finisher optional.
+function applyLoadSpike(session, payload) {
+  const load = payload.trainingLoad;
+  if (!load?.level) return session;
+  const why = `load spike (${load.reasons.join(", ")})`;
+  const finisher = finisherMinutes(session.finisher) > 0 ? `${session.finisher} (optional – ${why})` : session.finisher;
+  if (load.level !== "high") return { ...session, finisher };
+  const blocks = session.blocks.map((b, i) => {
+    if (!isSetBased(b) || b.pattern === "rehab") return b;
+    let out = i > 0 && !b.circuit && b.slots > 2 ? withSets(b, 2) : b;
+    const rpe = (v) => Math.max(5, v - 1);
+    out = { ...out, targetRPE: rpe(out.targetRPE), scheme: mapSchemeRPE(out.scheme, (m, lo, hi) => `@${rpe(lo)}${hi != null ? `–${rpe(hi)}` : ""}`) };
+    return i === 0 ? addNote(out, `${why}: accessories capped at 2 sets, RPE −1`) : out;
+  });
+  return { ...session, blocks, finisher };
+}
+
+// ---------------------- Conditioning ----------------------
+// Heart-rate zones from age and resting/max HR, and structured energy-system pieces in place of
+// free-text finishers. Zones use the heart-rate reserve (Karvonen) when resting HR is known, % of max otherwise.
+const hrZoneBands = [
+  { zone: 1, label: "Recovery", lo: 0.5, hi: 0.6, feel: "very easy, RPE 2" },
+  { zone: 2, label: "Aerobic", lo: 0.6, hi: 0.7, feel: "nasal breathing, can talk, RPE 3–4" },
+  { zone: 3, label: "Tempo", lo: 0.7, hi: 0.8, feel: "short sentences, RPE 5–6" },
+  { zone: 4, label: "Threshold", lo: 0.8, hi: 0.9, feel: "a few words at a time, RPE 7–8" },
+  { zone: 5, label: "Max", lo: 0.9, hi: 1, feel: "all-out scramble pace, RPE 9–10" },
+];
+
+// Tanaka et al.: holds up better than 220 − age for adults over 40.
+function estimateMaxHR(age) {
+  return Number(age) > 0 ? Math.round(208 - 0.7 * Number(age)) : null;
+}
+
+// Profile value first, else the median of the last two weeks of check-ins.
+function restingHRFor(profile, checkIns = []) {
+  if (Number(profile.restingHR) > 0) return Number(profile.restingHR);
+  const recent = checkIns.filter((c) => Number(c.restingHR) > 0).slice(-14).map((c) => Number(c.restingHR)).sort((a, b) => a - b);
+  return recent.length ? recent[Math.floor(recent.length / 2)] : null;
+}
+
+function heartRateZones(profile, checkIns = []) {
+  const maxHR = Number(profile.maxHR) || estimateMaxHR(profile.age);
+  if (!maxHR) return null;
+  const rest = restingHRFor(profile, checkIns);
+  const at = (pct) => Math.round(rest ? rest + (maxHR - rest) * pct : maxHR * pct);
+  return {
+    maxHR,
+    restingHR: rest,
+    method: rest ? "heart-rate reserve" : "% of max HR",
+    maxSource: Number(profile.maxHR) ? "measured" : `estimated from age ${profile.age}`,
+    zones: hrZoneBands.map((z) => ({ ...z, lo: at(z.lo), hi: at(z.hi) })),
+  };
+}
+
+function zoneForHR(hr, zones) {
+  if (!zones || !(Number(hr) > 0)) return null;
+  if (hr >= zones.zones[4].lo) return 5;
+  return zones.zones.find((z) => hr >= z.lo && hr < z.hi)?.zone ?? null; // below zone 1: not training
+}
+
+// Easiest to hardest; mat load and phase move a prescription along this ladder.
+const conditioningLadder = ["recovery", "aerobic", "threshold", "rounds"];
+const conditioningKinds = {
+  recovery: { label: "Recovery Flush", zones: [1], modality: "easy bike, walk or light shadow drilling" },
+  aerobic: { label: "Zone-2 Aerobic", zones: [2], modality: "bike, row, incline walk or light drilling flow" },
+  threshold: { label: "Threshold Intervals", zones: [4], modality: "bike, row or sled" },
+  rounds: { label: "BJJ Rounds", zones: [4, 5], modality: "sprawls, KB swings, sled or bag work in a round rhythm" },
+};
+const phaseConditioning = { Base: "aerobic", Build: "threshold", Peak: "rounds", Deload: "recovery", Taper: "aerobic", Primer: "recovery", Return: "recovery" };
+const ROUND_MIN = 5; // a typical competition round
+
+// What the day's piece should be, and why it was made easier than the phase calls for.
+// role: "main" – the session's conditioning slot; "finisher" – a short aerobic top-up after strength work.
+function conditioningKind(role, phase, payload, day) {
+  const reasons = [];
+  let step = 0;
+  const load = payload.trainingLoad;
+  if (load?.level === "high") (step += 2), reasons.push("load spike");
+  else if (load?.level === "caution") (step += 1), reasons.push("load caution");
+  const intensity = payload.athlete.bjjIntensity || {};
+  const next = weekdays[(weekdays.indexOf(day) + 1) % 7];
+  if ((intensity[next] ?? 0) >= 8) (step += 1), reasons.push(`hard mat session ${next}`);
+  const hardDays = Object.values(intensity).filter((v) => v >= 6).length;
+  if (hardDays >= 3) (step += 1), reasons.push(`${hardDays} mat days already cover the intensity`);
+  const base = phaseConditioning[phase] || "aerobic";
+  const kind = conditioningLadder[Math.max(0, conditioningLadder.indexOf(base) - step)];
+  if (role === "finisher") return { kind: kind === "recovery" ? "recovery" : "aerobic", reasons: [] };
+  return { kind, reasons: kind !== base ? reasons : [] };
+}
+
+// Structured piece sized to the minutes left in the session. Intervals lose reps before they lose quality.
+function conditioningPiece(kind, minutes, zones, role) {
+  const spec = conditioningKinds[kind];
+  const fit = (want, min) => Math.max(min, Math.min(want, Math.floor(minutes)));
+  let piece;
+  if (kind === "rounds") {
+    const rounds = Math.max(3, Math.min(6, Math.floor((minutes + 1) / (ROUND_MIN + 1))));
+    piece = { rounds, workMin: ROUND_MIN, restMin: 1, minutes: rounds * ROUND_MIN + rounds - 1, detail: "Each round: steady zone 4 with 3 × 10s all-out scrambles" };
+  } else if (kind === "threshold") {
+    const rounds = Math.max(2, Math.min(5, Math.floor((minutes + 3) / 7)));
+    piece = { rounds, workMin: 4, restMin: 3, minutes: rounds * 7 - 3, detail: "Hold the top of zone 4; easy spin between reps" };
+  } else {
+    const want = role === "finisher" ? 10 : kind === "recovery" ? 12 : 25;
+    piece = { rounds: 1, workMin: fit(want, 8), restMin: 0, minutes: fit(want, 8), detail: kind === "recovery" ? "Flush only – finish fresher than you started" : "Nasal breathing throughout" };
+  }
+  const band = zones && [zones.zones[spec.zones[0] - 1].lo, zones.zones[spec.zones.at(-1) - 1].hi];
+  const zoneText = `zone ${spec.zones.join("–")}${band ? ` (${band[0]}–${band[1]} bpm)` : ` (${hrZoneBands[spec.zones.at(-1) - 1].feel})`}`;
+  const work = piece.rounds > 1 ? `${piece.rounds}×${piece.workMin}min / ${piece.restMin}min easy` : "continuous";
+  return {
+    kind,
+    title: spec.label,
+    ...piece,
+    zones: spec.zones,
+    hr: band ? { lo: band[0], hi: band[1] } : null,
+    modality: spec.modality,
+    // Total time goes first so the time budget (timedMinutes) reads the whole piece.
+    text: `${spec.label} ${piece.minutes}min: ${work}, ${zoneText} – ${spec.modality}`,
+  };
+}
+
+// Replaces a template's free-text finisher with a prescribed piece.
+function withConditioning(session, role, payload, phase) {
+  const zones = payload.athlete.hrZones || null;
+  const { kind, reasons } = conditioningKind(role, phase, payload, session.day);
+  const left = (payload.athlete.minutesPerSession || 60) - sessionMinutes({ ...session, finisher: "" });
+  const piece = conditioningPiece(kind, role === "finisher" ? Math.min(12, left) : left, zones, role);
+  const conditioning = reasons.length ? { ...piece, note: `Eased to ${piece.title.toLowerCase()}: ${reasons.join(", ")}` } : piece;
+  return { ...session, finisher: piece.text, conditioning };
+}
+
+// ---------------------- Readiness ----------------------
+// Daily check-ins are judged against the athlete's own rolling baseline: every metric becomes a
+// z-score (oriented so + is good) and the composite is their mean. Until there are enough days of
+// history, the level falls back to the 1–5 self-ratings, which mean the same thing for everyone.
+const sorenessRegions = ["general", "neck", "shoulder", "back", "hip", "knee", "wrist", "ankle"];
+
+const readinessMetrics = {
+  sleepHours: { label: "Sleep", unit: "h", better: 1, minSd: 0.5 },
+  sleepQuality: { label: "Sleep quality", better: 1, minSd: 0.5 },
+  soreness: { label: "Soreness", better: -1, minSd: 0.5, value: (c) => Math.max(0, ...Object.values(c.soreness || {}).map(Number).filter(Number.isFinite)) },
+  stress: { label: "Stress", better: -1, minSd: 0.5 },
+  mood: { label: "Mood", better: 1, minSd: 0.5 },
+  hrv: { label: "HRV", unit: "ms", better: 1, minSd: 3 },
+  restingHR: { label: "Resting HR", unit: "bpm", better: -1, minSd: 2 },
+};
+
+const BASELINE_WINDOW_DAYS = 28;
+const BASELINE_MIN_DAYS = 7;
+
+const metricValue = (c, key) => {
+  const v = readinessMetrics[key].value ? readinessMetrics[key].value(c) : c[key];
+  return v === null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v);
+};
+
+function formatZ(z) {
+  return z == null ? "–" : `${z >= 0 ? "+" : "−"}${Math.abs(z).toFixed(1)}`;
+}
+
+// Absolute 0–100 score from the 1–5 ratings only; used before a baseline exists.
+function readinessScore(c) {
+  if (!c) return null;
+  const good = (v) => (Math.min(5, Math.max(1, v)) - 1) / 4;
+  const parts = [
+    metricValue(c, "sleepQuality") != null && good(metricValue(c, "sleepQuality")),
+    metricValue(c, "mood") != null && good(metricValue(c, "mood")),
+    metricValue(c, "stress") != null && 1 - good(metricValue(c, "stress")),
+    metricValue(c, "soreness") != null && 1 - Math.min(5, metricValue(c, "soreness")) / 5,
+  ].filter((p) => p !== false);
+  return parts.length ? Math.round(average(parts) * 100) : null;
+}
+
+// Mean and SD per metric over the check-ins in the window before `date`.
+function readinessBaselines(checkIns, date) {
+  const end = dayNumber(date);
+  const window = checkIns.filter((c) => isISODate(c.date) && dayNumber(c.date) < end && end - dayNumber(c.date) <= BASELINE_WINDOW_DAYS);
+  return Object.fromEntries(
+    Object.keys(readinessMetrics).map((k) => {
+      const vals = window.map((c) => metricValue(c, k)).filter((v) => v != null);
+      if (!vals.length) return [k, { n: 0, mean: null, sd: null }];
+      const mean = average(vals);
+      const sd = Math.sqrt(average(vals.map((v) => (v - mean) ** 2)));
+      return [k, { n: vals.length, mean: Math.round(mean * 10) / 10, sd: Math.max(sd, readinessMetrics[k].minSd) }];
+    })
+  );
+}
+
+// → { date, checkIn, z, level, score, metrics: { key: { value, mean, z } }, sore: [region], baselineDays }.
+// level: low | below | normal | high, or null when there's no check-in for the day.
+function assessReadiness(checkIns = [], date = new Date().toISOString().slice(0, 10)) {
+  const checkIn = checkIns.find((c) => c.date === date) || null;
+  const baselines = readinessBaselines(checkIns, date);
+  const baselineDays = checkIns.filter((c) => isISODate(c.date) && dayNumber(c.date) < dayNumber(date) && dayNumber(date) - dayNumber(c.date) <= BASELINE_WINDOW_DAYS).length;
+  if (!checkIn) return { date, checkIn: null, z: null, level: null, score: null, metrics: {}, sore: [], baselineDays };
+  const metrics = {};
+  Object.entries(readinessMetrics).forEach(([k, m]) => {
+    const value = metricValue(checkIn, k);
+    if (value == null) return;
+    const b = baselines[k];
+    const z = b.n >= BASELINE_MIN_DAYS ? Math.round(((m.better * (value - b.mean)) / b.sd) * 10) / 10 : null;
+    metrics[k] = { value, mean: b.mean, z };
+  });
+  const zs = Object.values(metrics).map((m) => m.z).filter((z) => z != null);
+  const z = zs.length ? Math.round(average(zs) * 10) / 10 : null;
+  const abs = readinessScore(checkIn);
+  const score = z != null ? Math.min(100, Math.max(0, Math.round(50 + 15 * z))) : abs;
+  let level = "normal";
+  if (z != null) level = z <= -1 ? "low" : z <= -0.5 ? "below" : z >= 0.5 ? "high" : "normal";
+  else if (abs != null) level = abs < 35 ? "low" : abs < 50 ? "below" : abs >= 75 ? "high" : "normal";
+  const sore = Object.entries(checkIn.soreness || {}).filter(([, v]) => Number(v) >= 3).map(([r]) => r);
+  return { date, checkIn, z, level, score, metrics, sore, baselineDays };
+}
+
+// One assessment per check-in day, oldest first.
+function readinessHistory(athlete) {
+  return [...(athlete.checkIns || [])]
+    .filter((c) => isISODate(c.date))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((c) => {
+      const r = assessReadiness(athlete.checkIns, c.date);
+      return { date: c.date, score: r.score, z: r.z, level: r.level };
+    });
+}
+
+// Same-day adjustment of a planned session: loads follow readinessAdjustment, a low day also loses a
+// set and caps RPE at 7 (8 when just below), and blocks loading a sore region are capped at RPE 7.
+function applyDayReadiness(session, readiness, setup) {
+  if (!readiness?.checkIn) return { session, notes: [] };
+  const { delta, reasons } = readinessAdjustment(readiness, 0);
+  const cap = (b, rpe) => (b.targetRPE > rpe ? { ...b, targetRPE: rpe, scheme: capSchemeRPE(b.scheme, rpe) } : b);
+  const notes = [];
+  const soreHits = new Set();
+  const blocks = session.blocks.map((b) => {
+    let out = b.loadSuggestion && delta ? { ...b, loadSuggestion: snapLoad(Math.max(0, b.loadSuggestion * (1 + delta / 100)), b.move, setup) } : b;
+    if (!isSetBased(out) || out.pattern === "rehab") return out;
+    if (readiness.level === "low") out = cap(out.slots > 1 ? withSets(out, out.slots - 1) : out, 7);
+    if (readiness.level === "below") out = cap(out, 8);
+    const stress = exerciseLibrary[out.move]?.jointStress || {};
+    const hit = readiness.sore.filter((r) => (stress[r] ?? 0) >= 2);
+    if (hit.length) {
+      hit.forEach((r) => soreHits.add(r));
+      out = addNote(cap(out, 7), `Sore ${hit.join("/")} today: RPE ≤7`);
+    }
+    return out;
+  });
+  if (delta && session.blocks.some((b) => b.loadSuggestion)) notes.push(`Loads ${delta > 0 ? "+" : "−"}${Math.abs(delta)}%: ${reasons.join(", ")}`);
+  if (readiness.level === "low") notes.push("Low readiness: −1 set per lift, RPE ≤7");
+  if (readiness.level === "below") notes.push("Readiness below your norm: RPE ≤8");
+  if (soreHits.size) notes.push(`Sore ${[...soreHits].join(", ")}: affected lifts capped at RPE 7`);
+  return { session: notes.length ? withEstimates({ ...session, blocks }) : session, notes };
+}
+
+// Date a planned session falls on, from the Monday its week was generated for.
+function sessionDate(athlete, session) {
+  return isISODate(athlete.weekStart) ? isoDay(dayNumber(athlete.weekStart) + weekdays.indexOf(session.day)) : null;
+}
+
+// Old single readiness snapshots (stored on session logs) become dated check-ins.
+function checkInsFromLogs(logs) {
+  const byDate = {};
+  (logs || []).forEach((l) => {
+    const r = l?.readiness;
+    if (!isObj(r) || !isISODate(l.date)) return;
+    byDate[l.date] = {
+      id: shortId(),
+      date: l.date,
+      sleepHours: Number.isFinite(r.sleep) ? r.sleep : null,
+      stress: Number.isFinite(r.stress) ? r.stress : null,
+      soreness: Number.isFinite(r.soreness) ? { general: r.soreness } : {},
+      hrv: Number.isFinite(r.hrv) ? r.hrv : null,
+      bjjLoad: r.bjjLoad || "moderate",
+    };
+  });
+  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ---------------------- AI Provider Layer ----------------------
+// Every provider receives the same JSON payload and must return { plan, notes }.
+// Whatever comes back is checked against planSchema before it can reach the UI;
+// on any failure we fall back to the deterministic template engine.
+function buildPlanPayload({ profile, readiness, lastWeek, logs, phase, weekIndex, periodization, peaking, load, matLogs, locked, preferences, checkIns }) {
+  const lastLog = (logs || [])[(logs || []).length - 1];
+  return {
+    version: 1,
+    athlete: {
+      goal: profile.goal,
+      trainingAgeYrs: profile.trainingAgeYrs,
+      daysAvailable: profile.daysAvailable,
+      sessionsPerWeek: profile.sessionsPerWeek || null,
+      minutesPerSession: profile.minutesPerSession,
+      equipment: profile.equipment,
+      bjjDays: profile.bjjDays,
+      bjjIntensity: bjjIntensity(profile, matLogs),
+      injuries: profile.injuries,
+      prefs: profile.prefs,
+      preferences: preferences || {}, // learned move scores, see Preference Learning
+      units: athleteUnits(profile),
+      loading: loadingFor(profile),
+      hrZones: heartRateZones(profile, checkIns),
+    },
+    constraints: inferConstraints(profile),
+    track: { label: trackFor(profile.goal).label, rx: trackFor(profile.goal).phases[phase] || null },
+    readiness: readiness?.checkIn ? { date: readiness.date, level: readiness.level, z: readiness.z, score: readiness.score, sore: readiness.sore, metrics: readiness.metrics } : null,
+    lastWeek: (lastWeek || []).map((l) => ({ date: l.date, rpeAvg: l.rpeAvg, painFlag: l.painFlag, notes: l.notes, completed: l.completed })),
+    e1rm: latestE1RM(e1rmHistory(logs)),
+    latestPain: lastLog ? Number(lastLog.painFlag) || 0 : 0,
+    phase,
+    weekIndex,
+    periodization: periodization ? { ...periodization, modifiers: phaseModifiers } : null,
+    peaking: peaking || null,
+    trainingLoad: load || null,
+    // Coach-edited sessions stay as they are; generators plan the other days around them.
+    locked: (locked || []).map((s) => ({ day: s.day, title: s.title, blocks: s.blocks.map(({ move, scheme, targetRPE, pattern }) => ({ move, scheme, targetRPE, pattern })) })),
+  };
+}
+
+function templateGenerateSessions(payload) {
+  const { athlete, constraints, phase } = payload;
+  const track = trackFor(athlete.goal);
+  const model = modelFor(payload.periodization?.model);
+  const locked = payload.locked || [];
+  const focusUnits = weekFocuses(athlete).map((focus, i) => ({ id: i, focus, demand: sessionDemand(templates[focus](constraints, trackRx(track, phase)).blocks) }));
+  const units = withoutLockedFocuses(focusUnits, locked);
+  const ctx = scheduleContext(athlete, athlete.bjjIntensity || {}, locked.map((s) => ({ day: s.day, demand: sessionDemand(s.blocks) })));
+  const layout = bestLayout(units, athlete.daysAvailable.filter((d) => !locked.some((s) => s.day === d)), ctx);
+  const plan = layout.placed.flatMap(({ day: d, focus, ...unit }, i) => {
+    const sPhase = peakingDayPhase(payload.peaking, d, sessionPhase(model, phase, i));
+    if (sPhase === "Compete") return [];
+    const rx = trackRx(track, sPhase);
+    const tmpl = templates[focus](constraints, rx);
+    const session = {
+      id: shortId(),
+      day: d,
+      title: tmpl.title,
+      warmup: tmpl.warmup,
+      blocks: tmpl.blocks.map((b) => phaseBlock({ ...b, pattern: exerciseLibrary[b.move]?.pattern || null }, track, sPhase)),
+      finisher: tmpl.finisher,
+      cues: track.cues,
+      scheduleNote: explainPlacement({ day: d, ...unit }, ctx),
+      ...(sPhase !== phase ? { phase: sPhase } : {}),
+    };
+    return enforceSessionRules(tmpl.conditioning ? withConditioning(session, tmpl.conditioning, payload, sPhase) : session, payload);
+  });
+  const reason = payload.periodization?.deloadReason;
+  const notes = [phase === "Deload" ? `Keep effort @6–7, cut 30% volume.${reason ? ` Reactive deload: ${reason}.` : ""}` : "", peakingNote(payload.peaking), units.length ? layoutSummary(layout) : "", locked.length ? `Kept ${locked.length} coach-edited session${locked.length > 1 ? "s" : ""} (${locked.map((s) => s.day).join(", ")}).` : ""];
+  return { plan, notes: notes.filter(Boolean).join(" ") };
+}
+
+const PLAN_SYSTEM_PROMPT =
+  "You are a strength coach for BJJ athletes. Reply with JSON only: " +
+  '{ "plan": [{ "id", "day", "title", "warmup": [string], "blocks": [{ "move", "scheme", "targetRPE", "slots", "alt", "loadSuggestion" }], "finisher", "cues": [string] }], "notes": string }. ' +
+  "One session per day in athlete.daysAvailable. Respect constraints and injuries. " +
+  "loadSuggestion is always in lb, even when athlete.units is kg (the app converts for display); use null when unsure. " +
+  "Days in `locked` already have a coach-edited session: leave them out and balance the rest of the week around them. " +
+  "Avoid moves in athlete.prefs.dislikes; athlete.preferences scores moves the athlete has shown they like (+) or avoid (−). " +
+  "Write conditioning finishers against athlete.hrZones when present (e.g. \"Zone-2 Aerobic 25min, 131–144 bpm\").";
+
+const REPORT_SYSTEM_PROMPT =
+  "You write a strength coach's weekly check-in for a BJJ athlete. Reply with JSON only: " +
+  '{ "title": string, "summary": string, "sections": [{ "heading": string, "lines": [string] }], "recommendations": [string] }. ' +
+  "Use only the facts in the payload; loads are in athlete.units. Keep it short, plain and encouraging, and make every recommendation something to change next week.";
+
+async function postJSON(url, body, timeoutMs = 20000) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: ctrl.signal,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+    return await res.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Add a provider by adding an entry: generate(payload, config) → { plan, notes }.
+const aiProviders = {
+  template: {
+    label: "Rule engine (offline)",
+    generate: async (payload) => templateGenerateSessions(payload),
+    report: async (data) => templateWeeklyReport(data),
+  },
+  mock: {
+    // Local mock server: POST the payload as-is, expect { plan, notes } back (reports: /report, see reportSchema).
+    label: "Local mock server",
+    generate: (payload, config) => postJSON(config.endpoint || "http://localhost:8787/plan", payload),
+    report: (data, config) => postJSON(`${(config.endpoint || "http://localhost:8787/plan").replace(/\/plan\/?$/, "")}/report`, data),
+  },
+  llm: {
+    // OpenAI-compatible chat endpoint, ideally your own serverless proxy so no key ships to the browser.
+    label: "LLM (OpenAI-compatible)",
+    generate: (payload, config) => llmChat(config, PLAN_SYSTEM_PROMPT, payload),
+    report: (data, config) => llmChat(config, REPORT_SYSTEM_PROMPT, data),
+  },
+};
+
+async function llmChat(config, system, payload) {
+  if (!config.endpoint) throw new Error("No LLM endpoint configured");
+  const res = await postJSON(config.endpoint, {
+    model: config.model,
+    response_format: { type: "json_object" },
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: JSON.stringify(payload) },
+    ],
+  });
+  const content = res?.choices?.[0]?.message?.content;
+  if (typeof content !== "string") throw new Error("LLM response had no message content");
+  return JSON.parse(content);
+}
+
+// ---------------------- Plan Schema ----------------------
+const blockSchema = {
+  move: { type: "string", required: true },
+  scheme: { type: "string", required: true },
+  targetRPE: { type: "number", required: true, min: 1, max: 10 },
+  slots: { type: "integer", required: true, min: 1, max: 20 },
+  alt: { type: "string", nullable: true },
+  loadSuggestion: { type: "number", nullable: true, min: 0 },
+  loadNote: { type: "string", nullable: true },
+  pattern: { type: "string", nullable: true },
+  swappedFrom: { type: "string", nullable: true },
+  note: { type: "string", nullable: true },
+  restSec: { type: "integer", nullable: true, min: 0, max: 600 },
+  estMinutes: { type: "number", nullable: true, min: 0 },
+  superset: { type: "string", nullable: true },
+  circuit: { type: "string", nullable: true },
+};
+
+const conditioningSchema = {
+  kind: { type: "string", required: true, oneOf: conditioningLadder },
+  title: { type: "string", required: true },
+  rounds: { type: "integer", required: true, min: 1 },
+  workMin: { type: "number", required: true, min: 0 },
+  restMin: { type: "number", required: true, min: 0 },
+  minutes: { type: "number", required: true, min: 0 },
+  zones: { type: "array", required: true, items: { type: "integer", min: 1, max: 5 } },
+  hr: { type: "object", nullable: true, fields: { lo: { type: "number", required: true }, hi: { type: "number", required: true } } },
+  modality: { type: "string", nullable: true },
+  text: { type: "string", required: true },
+  detail: { type: "string", nullable: true },
+  note: { type: "string", nullable: true },
+};
+
+const sessionSchema = {
+  id: { type: "string", required: true },
+  day: { type: "string", required: true, oneOf: weekdays },
+  title: { type: "string", required: true },
+  warmup: { type: "array", required: true, items: { type: "string" } },
+  blocks: { type: "array", required: true, minItems: 1, items: { type: "object", fields: blockSchema } },
+  finisher: { type: "string", required: true },
+  cues: { type: "array", required: true, minItems: 1, items: { type: "string" } },
+  phase: { type: "string", nullable: true, oneOf: Object.keys(phaseModifiers) },
+  scheduleNote: { type: "string", nullable: true },
+  estMinutes: { type: "number", nullable: true, min: 0 },
+  budgetNote: { type: "string", nullable: true },
+  removed: { type: "array", nullable: true, items: { type: "object", fields: { move: { type: "string", required: true }, reason: { type: "string", required: true } } } },
+  edited: { type: "boolean", nullable: true }, // coach-edited: kept as-is when the week is regenerated
+  conditioning: { type: "object", nullable: true, fields: conditioningSchema }, // structured finisher, see Conditioning
+};
+
+const reportSchema = {
+  title: { type: "string", required: true },
+  summary: { type: "string", required: true },
+  sections: {
+    type: "array",
+    required: true,
+    items: { type: "object", fields: { heading: { type: "string", required: true }, lines: { type: "array", required: true, items: { type: "string" } } } },
+  },
+  recommendations: { type: "array", required: true, items: { type: "string" } },
+};
+
+const planSchema = {
+  plan: { type: "array", required: true, minItems: 1, items: { type: "object", fields: sessionSchema } },
+  notes: { type: "string", nullable: true },
+};
+
+function checkValue(value, rule, path, errors) {
+  if (value === undefined || value === null) {
+    if (rule.required || (value === null && !rule.nullable)) errors.push(`${path} is required`);
+    return;
+  }
+  const { type } = rule;
+  if (type === "string" && typeof value !== "string") return errors.push(`${path} must be a string`);
+  if (type === "boolean" && typeof value !== "boolean") return errors.push(`${path} must be true or false`);
+  if ((type === "number" || type === "integer") && !Number.isFinite(value)) return errors.push(`${path} must be a number`);
+  if (type === "integer" && !Number.isInteger(value)) return errors.push(`${path} must be an integer`);
+  if (rule.min != null && value < rule.min) errors.push(`${path} must be ≥ ${rule.min}`);
+  if (rule.max != null && value > rule.max) errors.push(`${path} must be ≤ ${rule.max}`);
+  if (rule.oneOf && !rule.oneOf.includes(value)) errors.push(`${path} must be one of ${rule.oneOf.join("/")}`);
+  if (type === "array") {
+    if (!Array.isArray(value)) return errors.push(`${path} must be an array`);
+    if (rule.minItems && value.length < rule.minItems) errors.push(`${path} needs at least ${rule.minItems} item(s)`);
+    value.forEach((v, i) => checkValue(v, rule.items, `${path}[${i}]`, errors));
+  }
+  if (type === "object") checkObject(value, rule.fields, path, errors);
+}
+
+// Strict: unknown keys are rejected so nothing unexpected reaches SessionCard.
+function checkObject(obj, fields, path, errors) {
+  if (typeof obj !== "object" || Array.isArray(obj)) return errors.push(`${path} must be an object`);
+  Object.keys(obj).forEach((k) => {
+    if (!fields[k]) errors.push(`${path}.${k} is not allowed`);
+  });
+  Object.entries(fields).forEach(([k, rule]) => checkValue(obj[k], rule, `${path}.${k}`, errors));
+}
+
+function validatePlan(res, payload) {
+  const errors = [];
+  checkObject(res, planSchema, "response", errors);
+  if (!errors.length) {
+    const days = res.plan.map((s) => s.day);
+    if (new Set(days).size !== days.length) errors.push("response.plan has more than one session per day");
+    days.filter((d) => !payload.athlete.daysAvailable.includes(d)).forEach((d) => errors.push(`response.plan uses unavailable day ${d}`));
+    const ids = res.plan.map((s) => s.id);
+    if (new Set(ids).size !== ids.length) errors.push("response.plan has duplicate session ids");
+  }
+  return errors;
+}
+
+async function aiGenerateSessions(payload, config = {}) {
+  const providerId = aiProviders[config.provider] ? config.provider : "template";
+  let res = null;
+  let fallbackReason = null;
+  try {
+    res = await aiProviders[providerId].generate(payload, config);
+    const errors = validatePlan(res, payload);
+    if (errors.length) {
+      fallbackReason = `Invalid plan from ${aiProviders[providerId].label}: ${errors.slice(0, 3).join("; ")}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ""}`;
+    }
+  } catch (e) {
+    fallbackReason = `${aiProviders[providerId].label} failed: ${e.message || e}`;
+  }
+  if (fallbackReason) {
+    res = templateGenerateSessions(payload);
+  } else if (providerId !== "template") {
+    res = { ...res, plan: res.plan.map((s) => enforceSessionRules(s, payload)) };
+  }
+  return {
+    phase: payload.phase,
+    weekIndex: payload.weekIndex,
+    plan: res.plan,
+    notes: res.notes || "",
+    source: fallbackReason ? "template" : providerId,
+    fallbackReason,
+  };
+}
+
+// Same contract as plan generation: any provider, checked against reportSchema, template on failure.
+async function aiGenerateReport(data, config = {}) {
+  const providerId = aiProviders[config.provider] ? config.provider : "template";
+  let report = null;
+  let fallbackReason = null;
+  try {
+    report = await aiProviders[providerId].report(data, config);
+    const errors = [];
+    checkObject(report, reportSchema, "report", errors);
+    if (errors.length) fallbackReason = `Invalid report from ${aiProviders[providerId].label}: ${errors.slice(0, 3).join("; ")}`;
+  } catch (e) {
+    fallbackReason = `${aiProviders[providerId].label} failed: ${e.message || e}`;
+  }
+  if (fallbackReason) report = templateWeeklyReport(data);
+  return { report, source: fallbackReason ? "template" : providerId, fallbackReason };
+}
+
+// Lowest-shoulder-stress press the athlete can do, or null if `move` isn't a press or is already the safest.
+function shoulderSafePress(move, kit) {
+  const pattern = exerciseLibrary[move]?.pattern || (/press/i.test(move) ? "horizontal_press" : null);
+  if (pattern !== "horizontal_press" && pattern !== "vertical_press") return null;
+  const stress = (n) => exerciseLibrary[n]?.jointStress.shoulder ?? 3;
+  const best = Object.keys(exerciseLibrary)
+    .filter((n) => exerciseLibrary[n].pattern === pattern && hasEquipment(n, kit))
+    .sort((a, b) => stress(a) - stress(b) || exerciseLibrary[b].level - exerciseLibrary[a].level)[0];
+  return best && best !== move && stress(best) < stress(move) ? best : null;
+}
+
+// ---------------------- Units & Loading ----------------------
+// Loads are stored in lb everywhere (logs, e1RM, suggestions) and converted at the edges. Suggestions
+// snap to what the athlete can actually load: bar + plate pairs, or the nearest bell they own.
+const LB_PER_KG = 2.20462;
+
+const loadingPresets = {
+  lb: {
+    unit: "lb",
+    bar: 45,
+    plates: [45, 35, 25, 10, 5, 2.5],
+    dumbbells: Array.from({ length: 30 }, (_, i) => 5 + i * 5), // 5–150
+    kettlebells: [9, 13, 18, 26, 35, 44, 53, 62, 70, 80, 88, 97, 106],
+  },
+  kg: {
+    unit: "kg",
+    bar: 20,
+    plates: [25, 20, 15, 10, 5, 2.5, 1.25],
+    dumbbells: [...Array.from({ length: 20 }, (_, i) => 2.5 + i * 2.5), 52.5, 55, 57.5, 60], // 2.5–60
+    kettlebells: [4, 6, 8, 10, 12, 14, 16, 20, 24, 28, 32, 36, 40, 48],
+  },
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+function athleteUnits(profile) {
+  return profile?.units === "kg" ? "kg" : "lb";
+}
+
+// A saved setup only applies to the unit it was written in; switching units starts from the preset.
+function loadingFor(profile) {
+  const unit = athleteUnits(profile);
+  return profile?.loading?.unit === unit ? { ...loadingPresets[unit], ...profile.loading } : loadingPresets[unit];
+}
+
+function toDisplay(lb, unit) {
+  return lb == null ? null : round2(unit === "kg" ? lb / LB_PER_KG : lb);
+}
+
+function fromDisplay(v, unit) {
+  return v == null ? null : round2(unit === "kg" ? v * LB_PER_KG : v);
+}
+
+function formatLoad(lb, unit) {
+  return lb == null ? "" : `${toDisplay(lb, unit)} ${unit}`;
+}
+
+// How a move is loaded: "barbell", "dumbbells", "kettlebells" (whichever the athlete owns), or null.
+function loadKind(move, equipment = {}) {
+  const needs = (exerciseLibrary[move]?.equipment || []).flat();
+  if (needs.includes("barbell")) return "barbell";
+  return ["dumbbells", "kettlebells"].find((k) => needs.includes(k) && equipment[k] !== false) || null;
+}
+
+// setup: { units, loading, equipment } – a plan payload's athlete, or loadSetup(profile).
+function loadSetup(profile) {
+  return { units: athleteUnits(profile), loading: loadingFor(profile), equipment: profile.equipment };
+}
+
+// Snap a load (lb) to the nearest loadable weight in the athlete's units; returns lb.
+function snapLoad(lb, move, setup) {
+  if (!(lb > 0)) return lb;
+  const unit = setup?.units === "kg" ? "kg" : "lb";
+  const loading = setup?.loading || loadingPresets[unit];
+  const v = toDisplay(lb, unit);
+  const kind = loadKind(move, setup?.equipment);
+  const step = Math.min(...loading.plates);
+  let snapped;
+  if (kind === "barbell") snapped = Math.max(loading.bar, loading.bar + Math.round((v - loading.bar) / (2 * step)) * 2 * step);
+  else if (kind && loading[kind]?.length) snapped = loading[kind].reduce((best, w) => (Math.abs(w - v) < Math.abs(best - v) ? w : best));
+  else snapped = Math.round(v / step) * step;
+  return fromDisplay(round2(snapped), unit);
+}
+
+// Plates per side for a barbell load (lb), largest first: { bar, perSide: [..], remainder } in the athlete's units.
+function plateBreakdown(lb, setup) {
+  const unit = setup?.units === "kg" ? "kg" : "lb";
+  const loading = setup?.loading || loadingPresets[unit];
+  let side = round2((toDisplay(lb, unit) - loading.bar) / 2);
+  const perSide = [];
+  [...loading.plates].sort((a, b) => b - a).forEach((p) => {
+    while (side >= p - 0.001) {
+      perSide.push(p);
+      side = round2(side - p);
+    }
+  });
+  return { bar: loading.bar, perSide, remainder: Math.max(0, side) };
+}
+
+// "Start ~100 kg · 20 bar + 25, 15 /side", "Start ~24 kg KB", …
+function loadLabel(lb, move, setup) {
+  const unit = setup?.units === "kg" ? "kg" : "lb";
+  const kind = loadKind(move, setup?.equipment);
+  const base = `Start ~${formatLoad(lb, unit)}`;
+  if (kind === "dumbbells") return `${base} DB`;
+  if (kind === "kettlebells") return `${base} KB`;
+  if (kind !== "barbell") return base;
+  const { bar, perSide, remainder } = plateBreakdown(lb, setup);
+  if (!perSide.length) return `${base} · empty bar`;
+  return `${base} · ${bar} bar + ${perSide.join(", ")} /side${remainder ? ` (+${remainder} short)` : ""}`;
+}
+
+// ---------------------- Autoregulation ----------------------
+// e1RM history per exact exercise name, oldest first: { [move]: [{ date, weekIndex, e1rm }] }.
+function e1rmHistory(logs) {
+  const out = {};
+  (logs || []).forEach((l) =>
+    (l.completed || []).forEach((c) => {
+      if (!c.move) return;
+      // Set-by-set logs: best set of the day. Older aggregate logs: the single top-set entry.
+      const sets = c.setLog ? c.setLog.filter((x) => x.status === "done") : [{ load: c.lastLoad, reps: c.reps, rpe: c.rpe }];
+      const best = Math.max(0, ...sets.filter((x) => Number(x.load) > 0 && Number(x.reps) > 0).map((x) => estimateE1RM(Number(x.load), Number(x.reps), Number(x.rpe) || 8)));
+      if (!best) return;
+      (out[c.move] = out[c.move] || []).push({ date: l.date, weekIndex: l.weekIndex, e1rm: best });
+    })
+  );
+  return out;
+}
+
+function latestE1RM(history) {
+  return Object.fromEntries(Object.entries(history).map(([move, h]) => [move, h[h.length - 1]]));
+}
+
+// Inverse of estimateE1RM: fraction of e1RM that leaves (10 − rpe) reps in reserve.
+function pctOfE1RM(reps, rpe) {
+  return 1 / (1 + (reps + Math.max(0, 10 - rpe)) / 30);
+}
+
+// Reps per set from "3x6–8", "2x5 @70%" or "3 rounds x 12"; null for distances/durations ("4x40m", "3x20-30s").
+function schemeReps(scheme) {
+  const m = String(scheme).match(/x\s*(\d+)(?![\d–-]*\s*(?:m\b|s\b|min))/i);
+  return m ? Number(m[1]) : null;
+}
+
+// Load = % of the athlete's latest e1RM for this exact move, then adjusted for pain. Readiness is
+// applied on the day itself (applyDayReadiness).
+function suggestLoad(block, payload) {
+  const last = payload.e1rm?.[block.move];
+  if (!last || !isSetBased(block)) return null;
+  const reps = schemeReps(block.scheme) ?? 5;
+  const pct = pctOfE1RM(reps, block.targetRPE);
+  const { delta, reasons } = readinessAdjustment(null, payload.latestPain);
+  const load = snapLoad(adjustLoad(last.e1rm * pct, null, payload.latestPain), block.move, payload.athlete);
+  const unit = payload.athlete.units === "kg" ? "kg" : "lb";
+  const parts = [`${Math.round(pct * 100)}% of e1RM ${formatLoad(last.e1rm, unit)} (${reps} @${block.targetRPE})`, ...reasons];
+  return { loadSuggestion: load, loadNote: `${parts.join(" · ")}${delta ? ` → ${formatLoad(load, unit)}` : ""}` };
+}
+
+function withLoadSuggestion(block, payload) {
+  const s = suggestLoad(block, payload);
+  return s ? { ...block, ...s } : block;
+}
+
+// ---------------------- Workout Logging ----------------------
+// Expand a block's slots into prescribed set rows. "Top set @8, backoffs 2x5 @70–75%" becomes one
+// top set at loadSuggestion plus backoffs at the same e1RM × the prescribed %, snapped to loadable weights.
+function expandSets(block, setup) {
+  const reps = schemeReps(block.scheme);
+  const slots = Math.max(1, block.slots || 1);
+  const load = block.loadSuggestion || null;
+  const pct = String(block.scheme).match(/(\d+)(?:–(\d+))?%/);
+  const row = (kind, targetLoad, targetRPE) => ({
+    kind,
+    targetReps: reps,
+    targetLoad,
+    targetRPE,
+    reps: reps ?? 0,
+    load: targetLoad ?? 0,
+    rpe: targetRPE,
+    status: "pending",
+  });
+  if (!isSetBased(block)) return [row("work", load, block.targetRPE)];
+  if (/top set/i.test(block.scheme)) {
+    const e1rm = load ? load / pctOfE1RM(reps ?? 5, block.targetRPE) : null;
+    const backoffPct = pct ? (Number(pct[1]) + Number(pct[2] || pct[1])) / 200 : 0.9 * pctOfE1RM(reps ?? 5, block.targetRPE);
+    const backoffLoad = e1rm ? snapLoad(e1rm * backoffPct, block.move, setup) : null;
+    return [row("top", load, block.targetRPE), ...Array.from({ length: slots - 1 }, () => row("backoff", backoffLoad, Math.max(1, block.targetRPE - 1)))];
+  }
+  return Array.from({ length: slots }, () => row("work", load, block.targetRPE));
+}
+
+// Collapse set rows into the per-block summary the rest of the app reads (sets/reps/rpe/lastLoad).
+// `target` is what the rows prescribed, so planned vs actual survives later plan edits.
+function summarizeSets(move, blockIndex, setLog) {
+  const done = setLog.filter((x) => x.status === "done");
+  const top = done.reduce((best, x) => (!best || Number(x.load) > Number(best.load) ? x : best), null);
+  const prescribed = setLog.filter((x) => x.kind !== "added");
+  return {
+    move,
+    blockIndex,
+    setLog,
+    target: {
+      sets: prescribed.length,
+      reps: prescribed[0]?.targetReps ?? null,
+      load: Math.max(0, ...prescribed.map((x) => Number(x.targetLoad) || 0)) || null,
+      rpe: prescribed[0]?.targetRPE ?? null,
+    },
+    sets: done.length,
+    reps: top ? Number(top.reps) || 0 : 0,
+    rpe: done.length ? average(done.map((x) => Number(x.rpe))) : null,
+    lastLoad: top ? Number(top.load) || 0 : 0,
+  };
+}
+
+function formatClock(sec) {
+  return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+}
+
+// ---------------------- Storage ----------------------
+// State is persisted as one JSON document per key through a pluggable async backend.
+// Every load runs migrations up to SCHEMA_VERSION, then validates and repairs the result.
+const STATE_KEY = "move_mvp_state";
+const STORAGE_CONFIG_KEY = "move_storage_backend";
+const SCHEMA_VERSION = 3;
+
+function indexedDBBackend(dbName) {
+  const open = () =>
+    new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("kv");
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  const run = (mode, fn) =>
+    open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const tx = db.transaction("kv", mode);
+          const req = fn(tx.objectStore("kv"));
+          tx.oncomplete = () => {
+            db.close();
+            resolve(req.result);
+          };
+          tx.onerror = () => reject(tx.error);
+        })
+    );
+  return {
+    read: (key) => run("readonly", (store) => store.get(key)).then((v) => v ?? null),
+    write: (key, text) => run("readwrite", (store) => store.put(text, key)),
+  };
+}
+
+// GET/PUT {baseUrl}/state/{key} with the JSON document as the body; 404 means "nothing saved yet".
+function restBackend(baseUrl) {
+  const url = (key) => `${String(baseUrl).replace(/\/$/, "")}/state/${encodeURIComponent(key)}`;
+  return {
+    read: async (key) => {
+      const res = await fetch(url(key));
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`HTTP ${res.status} from ${url(key)}`);
+      return res.text();
+    },
+    write: async (key, text) => {
+      const res = await fetch(url(key), { method: "PUT", headers: { "Content-Type": "application/json" }, body: text });
+      if (!res.ok) throw new Error(`HTTP ${res.status} from ${url(key)}`);
+    },
+  };
+}
+
+const storageBackends = {
+  local: {
+    label: "This browser (localStorage)",
+    create: () => ({ read: async (key) => localStorage.getItem(key), write: async (key, text) => localStorage.setItem(key, text) }),
+  },
+  indexeddb: { label: "This browser (IndexedDB)", create: () => indexedDBBackend("move_mvp") },
+  rest: { label: "REST server", create: (config) => restBackend(config.url || "http://localhost:8787") },
+};
+
+function createBackend(config) {
+  return (storageBackends[config?.type] || storageBackends.local).create(config || {});
+}
+
+// migrations[v] upgrades a version-v document to v + 1.
+const migrations = {
+  0: (raw) => toRosterState(raw),
+  // v2: periodization models; place each athlete at the start of their current phase.
+  1: (raw) => ({
+    ...raw,
+    athletes: (raw.athletes || []).map((a) =>
+      isObj(a) ? { ...a, periodization: { model: "linear", position: firstWeekOf("linear", a.currentPhase), deloadReason: null } } : a
+    ),
+  }),
+  // v3: dated check-ins replace the single readinessToday object.
+  2: (raw) => ({
+    ...raw,
+    athletes: (raw.athletes || []).map((a) => {
+      if (!isObj(a)) return a;
+      return { ...omit(a, "readinessToday"), checkIns: checkInsFromLogs(a.sessionLogs) };
+    }),
+  }),
+};
+
+function stateVersion(raw) {
+  if (Number.isInteger(raw.schemaVersion)) return raw.schemaVersion;
+  return Array.isArray(raw.athletes) ? 1 : 0; // rosters were saved before versioning started
+}
+
+function migrateState(raw) {
+  let v = stateVersion(raw);
+  let out = raw;
+  while (v < SCHEMA_VERSION) out = migrations[v++](out);
+  return { ...out, schemaVersion: Math.max(v, SCHEMA_VERSION) };
+}
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Fill in fields added since the data was saved and replace values of the wrong shape.
+// Returns the repaired state plus a human-readable list of what had to be fixed.
+function repairState(raw) {
+  const repairs = [];
+  const pick = (ok, value, fallback, what) => {
+    if (value === undefined) return fallback;
+    if (ok(value)) return value;
+    repairs.push(what);
+    return fallback;
+  };
+  const dayList = (v) => Array.isArray(v) && v.every((d) => weekdays.includes(d));
+  const positiveOrNull = (v) => v === null || (Number.isFinite(v) && v > 0);
+
+  const athletes = (Array.isArray(raw.athletes) ? raw.athletes : []).filter(isObj).map((a) => {
+    const name = a.profile?.name || "athlete";
+    const p = isObj(a.profile) ? a.profile : {};
+    const sessions = pick(Array.isArray, a.sessions, [], `${name}: sessions`);
+    const validSessions = sessions.filter((x) => isObj(x) && Array.isArray(x.blocks) && Array.isArray(x.warmup) && Array.isArray(x.cues));
+    if (validSessions.length !== sessions.length) repairs.push(`${name}: dropped ${sessions.length - validSessions.length} malformed session(s)`);
+    const logs = pick(Array.isArray, a.sessionLogs, [], `${name}: session logs`);
+    const matLogs = pick(Array.isArray, a.matLogs, [], `${name}: mat logs`).filter((l) => isObj(l) && isISODate(l.date));
+    const validLogs = logs.filter(isObj);
+    if (validLogs.length !== logs.length) repairs.push(`${name}: dropped ${logs.length - validLogs.length} malformed log(s)`);
+    return {
+      ...defaultAthlete,
+      ...a,
+      id: pick((v) => typeof v === "string" && v.length > 0, a.id, shortId(), `${name}: id`),
+      group: pick((v) => typeof v === "string", a.group, "", `${name}: group`),
+      profile: {
+        ...defaultProfile,
+        ...p,
+        daysAvailable: pick(dayList, p.daysAvailable, defaultProfile.daysAvailable, `${name}: days available`),
+        bjjDays: pick(dayList, p.bjjDays, defaultProfile.bjjDays, `${name}: BJJ days`),
+        minutesPerSession: pick((v) => Number.isFinite(v) && v > 0, p.minutesPerSession, defaultProfile.minutesPerSession, `${name}: minutes/session`),
+        sessionsPerWeek: pick((v) => v === null || (Number.isInteger(v) && v > 0), p.sessionsPerWeek, null, `${name}: sessions/week`),
+        equipment: { ...defaultProfile.equipment, ...pick(isObj, p.equipment, {}, `${name}: equipment`) },
+        injuries: pick(Array.isArray, p.injuries, [], `${name}: injuries`).filter(isObj),
+        competitions: pick(Array.isArray, p.competitions, [], `${name}: competitions`).filter(isObj),
+        prefs: { ...defaultProfile.prefs, ...pick(isObj, p.prefs, {}, `${name}: preferences`) },
+        age: pick(positiveOrNull, p.age, null, `${name}: age`),
+        maxHR: pick(positiveOrNull, p.maxHR, null, `${name}: max HR`),
+        restingHR: pick(positiveOrNull, p.restingHR, null, `${name}: resting HR`),
+        units: pick((v) => v === "lb" || v === "kg", p.units, "lb", `${name}: units`),
+        loading: pick((v) => v === null || (isObj(v) && v.unit in loadingPresets), p.loading, null, `${name}: loading setup`),
+      },
+      currentPhase: pick((v) => v in phaseModifiers, a.currentPhase, "Base", `${name}: phase`),
+      weekIndex: pick((v) => Number.isInteger(v) && v >= 1, a.weekIndex, 1, `${name}: week index`),
+      startDate: pick((v) => v === null || isISODate(v), a.startDate, null, `${name}: start date`),
+      weekStart: pick((v) => v === null || isISODate(v), a.weekStart, null, `${name}: week start`),
+      peaking: pick((v) => v === null || (isObj(v) && isObj(v.comp)), a.peaking, null, `${name}: peaking`),
+      sessions: validSessions,
+      sessionLogs: validLogs,
+      matLogs,
+      checkIns: pick(Array.isArray, a.checkIns, [], `${name}: check-ins`).filter((c) => isObj(c) && isISODate(c.date)),
+      planArchive: pick(Array.isArray, a.planArchive, [], `${name}: plan archive`).filter((v) => isObj(v) && Number.isInteger(v.weekIndex) && Array.isArray(v.sessions)),
+      prefSignals: pick(Array.isArray, a.prefSignals, [], `${name}: preference signals`).filter((s) => isObj(s) && typeof s.move === "string" && isISODate(s.date)),
+      prefResets: pick(isObj, a.prefResets, {}, `${name}: preference resets`),
+      reports: pick(Array.isArray, a.reports, [], `${name}: reports`).filter((r) => isObj(r) && Number.isInteger(r.weekIndex) && isObj(r.report)),
+      periodization: { ...defaultAthlete.periodization, ...pick(isObj, a.periodization, {}, `${name}: periodization`) },
+    };
+  });
+  if (!athletes.length) {
+    repairs.push("no athletes found; started a fresh roster");
+    athletes.push(newAthlete());
+  }
+  const ids = athletes.map((a) => a.id);
+  return {
+    state: {
+      ...defaultState,
+      ...raw,
+      athletes,
+      activeAthleteId: ids.includes(raw.activeAthleteId) ? raw.activeAthleteId : ids[0],
+      ai: { ...defaultState.ai, ...pick(isObj, raw.ai, {}, "AI settings") },
+      alertConfig: pick(isObj, raw.alertConfig, {}, "alert rules"),
+      history: pick((v) => isObj(v) && Array.isArray(v.past) && Array.isArray(v.future), raw.history, defaultState.history, "undo history"),
+      customTemplates: pick(Array.isArray, raw.customTemplates, [], "custom templates").filter(isCustomTemplate),
+    },
+    repairs,
+  };
+}
+
+// → { state, notice, readOnly, empty }. Unreadable or pre-migration data is backed up under a
+// separate key before anything overwrites it; readOnly means the backend itself failed, empty
+// that it has nothing saved yet.
+async function loadState(backend) {
+  let text;
+  try {
+    text = await backend.read(STATE_KEY);
+  } catch (e) {
+    return { state: defaultState, readOnly: true, notice: `⚠️ Storage unavailable (${e.message}). Not saving until it's back.` };
+  }
+  if (text == null) return { state: defaultState, notice: "", empty: true };
+  let raw;
+  try {
+    raw = JSON.parse(text);
+    if (!isObj(raw)) throw new Error("not an object");
+  } catch (e) {
+    await backend.write(`${STATE_KEY}_corrupt_${Date.now()}`, text).catch(() => {});
+    return { state: defaultState, notice: "⚠️ Saved data was unreadable. A backup copy was kept; starting fresh." };
+  }
+  const from = stateVersion(raw);
+  if (from < SCHEMA_VERSION) await backend.write(`${STATE_KEY}_v${from}`, text).catch(() => {});
+  const { state, repairs } = repairState(migrateState(raw));
+  const notices = [];
+  if (from < SCHEMA_VERSION) notices.push(`Upgraded saved data v${from} → v${SCHEMA_VERSION}`);
+  if (from > SCHEMA_VERSION) notices.push(`Saved data is from a newer version (v${from})`);
+  if (repairs.length) notices.push(`Repaired ${repairs.slice(0, 3).join(", ")}${repairs.length > 3 ? ` (+${repairs.length - 3} more)` : ""}`);
+  return { state, notice: notices.length ? `🛠️ ${notices.join(". ")}.` : "" };
+}
+
+function saveState(backend, state) {
+  return backend.write(STATE_KEY, JSON.stringify(state));
+}
+
+// ---------------------- Export / Import ----------------------
+const EXPORT_FORMAT = "move-export";
+
+function exportStateJSON(state) {
+  return JSON.stringify({ format: EXPORT_FORMAT, exportedAt: new Date().toISOString(), state }, null, 2);
+}
+
+// Accepts our export envelope or a bare state document (any schema version); throws on anything else.
+function parseImport(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    throw new Error("File is not valid JSON");
+  }
+  const doc = isObj(raw) && raw.format === EXPORT_FORMAT ? raw.state : raw;
+  if (!isObj(doc) || !(Array.isArray(doc.athletes) || isObj(doc.profile))) throw new Error("File doesn't look like M.O.V.E. data");
+  return repairState(migrateState(doc));
+}
+
+// Merge: new athletes are added; athletes already on the roster (same id) keep their
+// profile and plan and gain any logs they don't have yet.
+function mergeStates(current, incoming) {
+  const byId = Object.fromEntries(incoming.athletes.map((a) => [a.id, a]));
+  // key: what makes two entries the same. On a clash the local entry stays unless both carry an `at`
+  // stamp and the incoming one is newer (reports); check-ins have no stamp, so the local one wins.
+  const mergeLogs = (mine, theirs, key = (l) => l.id) => {
+    const have = new Map(mine.map((l) => [key(l), l]));
+    const extra = new Map();
+    theirs.forEach((l) => {
+      const k = key(l);
+      const rival = extra.get(k) || have.get(k);
+      if (!rival || (l.at && rival.at && l.at > rival.at)) extra.set(k, l);
+    });
+    if (!extra.size) return mine;
+    return [...mine.filter((l) => !extra.has(key(l))), ...extra.values()].sort((x, y) => String(x.date).localeCompare(String(y.date)));
+  };
+  const athletes = current.athletes.map((a) => {
+    const other = byId[a.id];
+    if (!other) return a;
+    return { ...a, sessionLogs: mergeLogs(a.sessionLogs, other.sessionLogs), matLogs: mergeLogs(a.matLogs, other.matLogs), checkIns: mergeLogs(a.checkIns, other.checkIns, (c) => c.date), planArchive: mergeLogs(a.planArchive, other.planArchive), prefSignals: mergeLogs(a.prefSignals, other.prefSignals), reports: mergeLogs(a.reports, other.reports, (r) => r.weekIndex) };
+  });
+  const known = new Set(current.athletes.map((a) => a.id));
+  return { ...current, athletes: [...athletes, ...incoming.athletes.filter((a) => !known.has(a.id))] };
+}
+
+function csvCell(v) {
+  const t = v == null ? "" : String(v);
+  return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+}
+
+// One row per exercise per logged session, across the roster.
+function sessionLogsToCSV(athletes) {
+  const header = ["athlete", "group", "date", "week", "log_id", "move", "sets", "reps", "top_load", "rpe", "e1rm", "session_rpe_avg", "pain_flag", "notes"];
+  const rows = athletes.flatMap((a) =>
+    a.sessionLogs.flatMap((l) =>
+      (l.completed || []).map((c) => [
+        athleteName(a),
+        a.group,
+        l.date,
+        l.weekIndex,
+        l.id,
+        c.move,
+        c.sets,
+        c.reps,
+        c.lastLoad,
+        c.rpe,
+        c.lastLoad > 0 && c.reps > 0 ? estimateE1RM(c.lastLoad, c.reps, Number(c.rpe) || 8) : "",
+        l.rpeAvg,
+        l.painFlag,
+        l.notes,
+      ])
+    )
+  );
+  return [header, ...rows].map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+function escapeHTML(v) {
+  return String(v ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+// Stand-alone printable sheet for the week: one table per session with blank cells to write sets in.
+function weekPlanHTML(athlete) {
+  const maxSets = Math.max(3, ...athlete.sessions.flatMap((s) => s.blocks.map((b) => b.slots || 1)));
+  const cells = (n) => Array.from({ length: maxSets }, (_, i) => `<td>${i < n ? "&nbsp;" : "—"}</td>`).join("");
+  const sessions = athlete.sessions
+    .map(
+      (s) => `
+    <section>
+      <h2>${escapeHTML(s.day)} · ${escapeHTML(s.title)} <small>~${sessionMinutes(s)} min</small></h2>
+      <p><b>Warm-up:</b> ${s.warmup.map(escapeHTML).join(" · ")}</p>
+      <table>
+        <tr><th>Exercise</th><th>Scheme</th><th>Start</th>${Array.from({ length: maxSets }, (_, i) => `<th>Set ${i + 1}</th>`).join("")}</tr>
+        ${s.blocks
+          .map((b) => `<tr><td>${escapeHTML([b.superset, b.move].filter(Boolean).join(" "))}</td><td>${escapeHTML(b.scheme)}</td><td>${b.loadSuggestion ? escapeHTML(loadLabel(b.loadSuggestion, b.move, loadSetup(athlete.profile)).replace(/^Start ~/, "")) : ""}</td>${cells(b.slots || 1)}</tr>`)
+          .join("")}
+      </table>
+      <p><b>Finisher:</b> ${escapeHTML(s.finisher)}</p>
+      <p><b>Cues:</b> ${s.cues.map(escapeHTML).join(" · ")}</p>
+      <p>Pain (0–5): ____ &nbsp; Notes: ________________________________</p>
+    </section>`
+    )
+    .join("");
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHTML(athleteName(athlete))} – Week ${athlete.weekIndex}</title>
+<style>
+  body { font: 12px/1.4 system-ui, sans-serif; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 12px; } h2 { font-size: 14px; margin: 16px 0 4px; }
+  table { width: 100%; border-collapse: collapse; } th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  section { page-break-inside: avoid; }
+</style></head><body>
+<h1>${escapeHTML(athleteName(athlete))} · Week ${athlete.weekIndex} · ${escapeHTML(athlete.currentPhase)}</h1>${sessions}
+</body></html>`;
+}
+
+function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function printWeek(athlete) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.write(weekPlanHTML(athlete));
+  w.document.close();
+  w.focus();
+  w.print();
+  return true;
+}
+
+// ---------------------- Health Data Import ----------------------
+// Device exports are parsed in the browser into flat records:
+//   { kind: "sleep", date, hours, start?, end? } | { kind: "hrv" | "restingHR", date, value }
+//   | { kind: "workout", date, minutes, activity, key }
+// healthImportPlan() then turns them into check-in fields and mat logs, with a per-day preview.
+const BJJ_ACTIVITY = /jiu|jitsu|bjj|grappl|martial|wrestl|judo|no-?gi|\bgi\b|sambo/i;
+
+function isBJJWorkout(activity) {
+  return BJJ_ACTIVITY.test(String(activity || ""));
+}
+
+function matTypeFor(activity) {
+  const a = String(activity || "");
+  if (/compet|tournament|match/i.test(a)) return "competition";
+  if (/drill|technique|class/i.test(a)) return "drilling";
+  if (/hard|roll|spar|open mat/i.test(a)) return "hard_rolls";
+  return "positional";
+}
+
+// "2026-10-17", "2026-10-17 23:10:00 -0700", "10/17/2026" → "2026-10-17"; the local date is kept as written.
+function importDate(v) {
+  const s = String(v || "").trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(s)) return s.slice(0, 10);
+  const us = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  return us ? `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}` : null;
+}
+
+// Apple's "2026-10-17 23:10:00 -0700" → epoch ms.
+function appleTime(v) {
+  return Date.parse(String(v).replace(/^(\S+) (\S+) ([+-]\d\d)(\d\d)$/, "$1T$2$3:$4"));
+}
+
+// "01:02:30" / "1:02" → minutes, "7h 30m" → 450, plain numbers are taken as minutes.
+function parseDuration(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  const clock = s.match(/^(\d+):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/);
+  if (clock) return clock[3] != null ? Number(clock[1]) * 60 + Number(clock[2]) + Number(clock[3]) / 60 : Number(clock[1]) * 60 + Number(clock[2]);
+  const hm = s.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/i);
+  if (hm && (hm[1] || hm[2])) return Number(hm[1] || 0) * 60 + Number(hm[2] || 0);
+  const n = Number(s.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Apple Health export.xml. Exports run to hundreds of MB, so tags are scanned with a regex
+// instead of building a DOM, and only the record types we use are looked at.
+const appleTypes = {
+  HKCategoryTypeIdentifierSleepAnalysis: "sleep",
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN: "hrv",
+  HKQuantityTypeIdentifierRestingHeartRate: "restingHR",
+};
+
+function parseAppleHealthXML(text) {
+  if (!/<HealthData[\s>]/.test(text)) throw new Error("Not an Apple Health export (no <HealthData>)");
+  const records = [];
+  const attrs = (s) => Object.fromEntries([...s.matchAll(/(\w+)="([^"]*)"/g)].map((m) => [m[1], m[2]]));
+  for (const m of text.matchAll(/<(Record|Workout)\s([^>]*?)\/?>/g)) {
+    if (m[1] === "Record" && !appleTypes[/\btype="([^"]*)"/.exec(m[2])?.[1]]) continue;
+    const a = attrs(m[2]);
+    if (m[1] === "Workout") {
+      const minutes = a.durationUnit === "min" ? Number(a.duration) : (appleTime(a.endDate) - appleTime(a.startDate)) / 6e4;
+      const activity = (a.workoutActivityType || "").replace(/^HKWorkoutActivityType/, "");
+      if (Number.isFinite(minutes) && minutes > 0) records.push({ kind: "workout", date: importDate(a.startDate), minutes, activity, key: `apple|${a.startDate}` });
+      continue;
+    }
+    const kind = appleTypes[a.type];
+    if (kind === "sleep") {
+      // Only time asleep counts; "InBed" and "Awake" samples overlap it. A night belongs to the day it ends.
+      if (!/Asleep/.test(a.value || "")) continue;
+      const start = appleTime(a.startDate);
+      const end = appleTime(a.endDate);
+      if (end > start) records.push({ kind, date: importDate(a.endDate), hours: (end - start) / 36e5, start, end });
+    } else if (Number.isFinite(Number(a.value))) {
+      records.push({ kind, date: importDate(a.startDate), value: Number(a.value) });
+    }
+  }
+  return records.filter((r) => isISODate(r.date));
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') (cell += '"'), i++;
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") row.push(cell), (cell = "");
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  const [headers = [], ...rest] = rows.filter((r) => r.some((v) => v.trim() !== ""));
+  return { headers: headers.map((h) => h.trim().replace(/^\uFEFF/, "")), rows: rest };
+}
+
+// Column roles for CSV files; the patterns pick defaults for Garmin Connect exports
+// ("Activity Type", "Date", "Time", "Resting Heart Rate", …) and most other apps.
+const csvFields = {
+  date: { label: "Date", pattern: /^(calendar )?date$|^day$|start( time)?$|^timestamp/i },
+  sleep: { label: "Sleep duration", pattern: /sleep (duration|time)|total sleep|^sleep$|asleep/i },
+  hrv: { label: "HRV (ms)", pattern: /hrv|heart rate variability/i },
+  restingHR: { label: "Resting HR", pattern: /resting (heart rate|hr)|^rhr$/i },
+  activity: { label: "Activity type", pattern: /activity type|^sport$|^activity$|^type$/i },
+  duration: { label: "Workout duration", pattern: /^(elapsed |moving )?time$|duration/i },
+  title: { label: "Title", pattern: /^(title|name)$/i },
+};
+
+function guessCSVMapping(headers) {
+  const used = new Set();
+  return Object.fromEntries(
+    Object.entries(csvFields).map(([field, { pattern }]) => {
+      const i = headers.findIndex((h, j) => !used.has(j) && pattern.test(h) && !(field === "duration" && /sleep/i.test(h)));
+      if (i >= 0) used.add(i);
+      return [field, i >= 0 ? headers[i] : ""];
+    })
+  );
+}
+
+// One row can carry daily metrics, a workout, or both.
+function csvRecords({ headers, rows }, mapping) {
+  const col = (row, field) => (mapping[field] ? row[headers.indexOf(mapping[field])] : undefined);
+  const num = (v) => (v == null || String(v).trim() === "" || String(v).trim() === "--" ? null : Number(String(v).replace(",", ".")));
+  if (!mapping.date) throw new Error("Pick the date column");
+  return rows.flatMap((row) => {
+    const date = importDate(col(row, "date"));
+    if (!isISODate(date)) return [];
+    const out = [];
+    const sleep = parseDuration(col(row, "sleep"));
+    // Sleep over 24 can only be minutes; anything with a clock format is already minutes.
+    if (sleep != null && sleep > 0) out.push({ kind: "sleep", date, hours: /:|h|m/i.test(col(row, "sleep")) || sleep > 24 ? sleep / 60 : sleep });
+    const hrv = num(col(row, "hrv"));
+    if (Number.isFinite(hrv) && hrv > 0) out.push({ kind: "hrv", date, value: hrv });
+    const rhr = num(col(row, "restingHR"));
+    if (Number.isFinite(rhr) && rhr > 0) out.push({ kind: "restingHR", date, value: rhr });
+    const minutes = parseDuration(col(row, "duration"));
+    const activity = [col(row, "activity"), col(row, "title")].filter(Boolean).join(" · ");
+    if (mapping.duration && minutes > 0) out.push({ kind: "workout", date, minutes, activity, key: `csv|${col(row, "date")}|${activity}|${Math.round(minutes)}` });
+    return out;
+  });
+}
+
+// Hours covered by a set of [start, end] spans; phone and watch often record the same night.
+function spanHours(spans) {
+  let total = 0;
+  let reach = -Infinity;
+  [...spans].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    total += Math.max(0, end - Math.max(start, reach));
+    reach = Math.max(reach, end);
+  });
+  return total / 36e5;
+}
+
+// → { checkIns, matLogs, lines: [{ date, text, status }], counts }. Sleep is summed per night (overlaps counted once), HRV
+// averaged and resting HR takes the day's lowest reading. Existing values win unless `overwrite`.
+// BJJ workouts become mat logs unless one with the same key, or the same day and length (±10 min), exists.
+function healthImportPlan(athlete, records, { overwrite = false, source = "import" } = {}) {
+  const days = {};
+  const day = (d) => (days[d] = days[d] || { sleep: 0, spans: [], hrv: [], restingHR: [], workouts: [] });
+  records.forEach((r) => {
+    if (r.kind === "sleep" && r.start != null) day(r.date).spans.push(r);
+    else if (r.kind === "sleep") day(r.date).sleep += r.hours;
+    else if (r.kind === "hrv" || r.kind === "restingHR") day(r.date)[r.kind].push(r.value);
+    else if (r.kind === "workout") day(r.date).workouts.push(r);
+  });
+  const counts = { days: 0, added: 0, filled: 0, same: 0, conflicts: 0, mat: 0, matDuplicates: 0, workouts: 0 };
+  const lines = [];
+  const checkIns = [];
+  const matLogs = [];
+  Object.keys(days)
+    .sort()
+    .forEach((date) => {
+      const d = days[date];
+      const sleep = d.sleep + spanHours(d.spans);
+      const found = {
+        sleepHours: sleep > 0 ? Math.round(sleep * 10) / 10 : null,
+        hrv: d.hrv.length ? Math.round(average(d.hrv)) : null,
+        restingHR: d.restingHR.length ? Math.min(...d.restingHR) : null,
+      };
+      const existing = athlete.checkIns.find((c) => c.date === date);
+      const next = existing ? { ...existing } : { id: shortId(), date, source };
+      const notes = [];
+      let changed = false;
+      let conflicts = 0;
+      Object.entries(found).forEach(([k, v]) => {
+        if (v == null) return;
+        const label = `${readinessMetrics[k].label} ${v}${readinessMetrics[k].unit || ""}`;
+        if (existing?.[k] == null || (overwrite && Math.abs(existing[k] - v) >= 0.05)) {
+          notes.push(existing?.[k] == null ? label : `${label} (was ${existing[k]})`);
+          next[k] = v;
+          changed = true;
+          if (existing) counts.filled++;
+        } else if (Math.abs(existing[k] - v) < 0.05) {
+          counts.same++;
+        } else {
+          notes.push(`${label} ≠ kept ${existing[k]}`);
+          conflicts++;
+        }
+      });
+      const known = new Set((existing?.workouts || []).map((w) => w.key));
+      const others = d.workouts.filter((w) => !isBJJWorkout(w.activity) && !known.has(w.key));
+      if (others.length) {
+        next.workouts = [...(existing?.workouts || []), ...others.map(({ activity, minutes, key }) => ({ activity, minutes: Math.round(minutes), key }))];
+        notes.push(`${others.length} workout${others.length > 1 ? "s" : ""}`);
+        counts.workouts += others.length;
+        changed = true;
+      }
+      let mat = 0;
+      d.workouts.filter((w) => isBJJWorkout(w.activity)).forEach((w) => {
+        const minutes = Math.round(w.minutes);
+        if ([...athlete.matLogs, ...matLogs].some((l) => l.importKey === w.key || (l.date === date && Math.abs(l.minutes - minutes) <= 10))) {
+          counts.matDuplicates++;
+          notes.push(`BJJ ${minutes} min (already logged)`);
+          return;
+        }
+        const type = matTypeFor(w.activity);
+        matLogs.push({ id: shortId(), date, minutes, srpe: matTypes[type].srpe, type, importKey: w.key, source });
+        notes.push(`BJJ ${minutes} min → ${matTypes[type].label}`);
+        mat++;
+      });
+      counts.mat += mat;
+      counts.conflicts += conflicts;
+      if (changed) {
+        if (!existing) counts.added++;
+        checkIns.push(next);
+      }
+      counts.days++;
+      const status = changed || mat ? (existing ? "update" : "add") : conflicts ? "conflict" : "skip";
+      lines.push({ date, status, text: notes.join(" · ") || "nothing to import" });
+    });
+  return { checkIns, matLogs, lines, counts };
+}
+
+function applyHealthImport(athlete, plan) {
+  const byDate = Object.fromEntries(plan.checkIns.map((c) => [c.date, c]));
+  const kept = athlete.checkIns.filter((c) => !byDate[c.date]);
+  return {
+    ...athlete,
+    checkIns: [...kept, ...plan.checkIns].sort((a, b) => a.date.localeCompare(b.date)),
+    matLogs: [...athlete.matLogs, ...plan.matLogs].sort((a, b) => a.date.localeCompare(b.date)),
+  };
+}
+
+// ---------------------- Roster & Triage ----------------------
+function athleteName(a) {
+  return a.profile.name || "Unnamed athlete";
+}
+
+function adherenceFor(a) {
+  const planned = a.sessions.length;
+  const completed = a.sessionLogs.filter((l) => l.weekIndex === a.weekIndex && !l.missed).length;
+  return planned ? Math.round((completed / planned) * 100) : 0;
+}
+
+// ---------------------- Alert Engine ----------------------
+// Each rule reads one athlete's history and returns alerts: { key, date, severity 1 (watch) – 5 (act now),
+// reason, explanation, action, actionParams? } where action names a quickActions command.
+// Thresholds are coach-editable (state.alertConfig) and fall back to each rule's defaults.
+const alertRules = {
+  pain_high: {
+    label: "Pain flag",
+    params: { threshold: { label: "Pain ≥", value: 3 } },
+    evaluate: (a, { threshold }) =>
+      a.sessionLogs
+        .filter((l) => l.weekIndex === a.weekIndex && !l.missed && l.painFlag >= threshold)
+        .map((l) => ({
+          key: l.id,
+          date: l.date,
+          severity: Math.min(5, l.painFlag),
+          reason: `Pain ${l.painFlag}/5`,
+          explanation: `Logged pain ${l.painFlag}/5 on ${l.day || l.date}${l.notes ? ` (“${l.notes}”)` : ""}.`,
+          action: l.painFlag >= 4 ? "deload" : "swap_press",
+          actionParams: l.painFlag >= 4 ? { mode: "on" } : {},
+        })),
+  },
+  rpe_high: {
+    label: "Session RPE",
+    params: { threshold: { label: "Avg RPE ≥", value: 9 } },
+    evaluate: (a, { threshold }) =>
+      a.sessionLogs
+        .filter((l) => l.weekIndex === a.weekIndex && !l.missed && (l.rpeAvg ?? 0) >= threshold)
+        .map((l) => ({
+          key: l.id,
+          date: l.date,
+          severity: 1,
+          reason: `High RPE ${l.rpeAvg}`,
+          explanation: `Average RPE ${l.rpeAvg} is at or above ${threshold}; the plan is running close to failure.`,
+          action: "cap_sets",
+        })),
+  },
+  pain_rising: {
+    label: "Pain trend",
+    params: { sessions: { label: "Rising over sessions", value: 3 } },
+    evaluate: (a, { sessions }) => {
+      const recent = a.sessionLogs.filter((l) => !l.missed).slice(-sessions);
+      const pains = recent.map((l) => Number(l.painFlag) || 0);
+      if (recent.length < sessions || sessions < 2 || !pains.every((p, i) => i === 0 || p > pains[i - 1])) return [];
+      const last = recent[recent.length - 1];
+      return [{
+        key: last.id,
+        date: last.date,
+        severity: Math.min(5, 2 + pains[pains.length - 1] - pains[0]),
+        reason: `Pain rising ${pains.join(" → ")}`,
+        explanation: `Pain has gone up in each of the last ${sessions} sessions. Rising pain usually comes before a flare-up.`,
+        action: "deload",
+        actionParams: { mode: "on" },
+      }];
+    },
+  },
+  readiness_low: {
+    label: "Readiness below baseline",
+    params: { days: { label: "Days in a row", value: 5 }, z: { label: "Readiness z ≤", value: -1 } },
+    // Needs a check-in on each of the last `days` calendar days, up to and including today.
+    evaluate: (a, { days, z }, today) => {
+      const recent = readinessHistory(a).slice(-days);
+      const end = dayNumber(today);
+      if (recent.length < days || !recent.every((h, i) => dayNumber(h.date) === end - (days - 1 - i) && h.z != null && h.z <= z)) return [];
+      return [{
+        key: recent[recent.length - 1].date,
+        date: recent[recent.length - 1].date,
+        severity: 3,
+        reason: `Readiness low ${days} days`,
+        explanation: `Readiness z ${recent.map((h) => formatZ(h.z)).join(", ")} against this athlete's own ${BASELINE_WINDOW_DAYS}-day baseline: at or under ${formatZ(z)} ${days} days running.`,
+        action: "deload",
+        actionParams: { mode: "on" },
+      }];
+    },
+  },
+  e1rm_drop: {
+    label: "e1RM drop",
+    params: { percent: { label: "Drop %", value: 5 }, weeks: { label: "vs best of last weeks", value: 4 } },
+    evaluate: (a, { percent, weeks }) =>
+      Object.entries(e1rmHistory(a.sessionLogs)).flatMap(([move, h]) => {
+        const last = h[h.length - 1];
+        const prior = h.slice(0, -1).filter((x) => x.weekIndex >= last.weekIndex - weeks);
+        if (!prior.length) return [];
+        const best = Math.max(...prior.map((x) => x.e1rm));
+        const drop = Math.round(((best - last.e1rm) / best) * 100);
+        if (drop < percent) return [];
+        return [{
+          key: `${move}-${last.date}`,
+          date: last.date,
+          severity: drop >= percent * 2 ? 3 : 2,
+          reason: `${move} e1RM −${drop}%`,
+          explanation: `${move} e1RM is ${formatLoad(last.e1rm, athleteUnits(a.profile))}, down ${drop}% from ${formatLoad(best, athleteUnits(a.profile))} in the last ${weeks} weeks. This points to fatigue more than lost strength.`,
+          action: "deload",
+          actionParams: { mode: "on" },
+        }];
+      }),
+  },
+  missed: {
+    label: "Missed sessions",
+    params: { count: { label: "Missed ≥", value: 2 }, days: { label: "within days", value: 14 } },
+    evaluate: (a, { count, days }, today) => {
+      const missed = a.sessionLogs.filter((l) => l.missed && isISODate(l.date) && dayNumber(today) - dayNumber(l.date) < days);
+      if (!missed.length) return [];
+      const last = missed[missed.length - 1];
+      const many = missed.length >= count;
+      return [{
+        key: "missed",
+        date: last.date,
+        severity: many ? 3 : 1,
+        reason: many ? `${missed.length} missed sessions` : "Missed session",
+        explanation: `${missed.length} session${missed.length > 1 ? "s" : ""} missed in the last ${days} days (${missed.map((l) => l.day || l.date).join(", ")}).${many ? " The plan may be too much for this athlete's schedule." : ""}`,
+        action: "cap_sets",
+      }];
+    },
+  },
+  load_spike: {
+    label: "Training load spike",
+    params: { acwrHigh: { label: "ACWR high ≥", value: LOAD_LIMITS.acwrHigh }, acwrCaution: { label: "ACWR caution ≥", value: LOAD_LIMITS.acwrCaution }, monotony: { label: "Monotony ≥", value: LOAD_LIMITS.monotony } },
+    evaluate: (a, limits, today) => {
+      const load = trainingLoad(a, today, limits);
+      if (!load.level) return [];
+      return [{
+        key: "load",
+        date: today,
+        severity: load.level === "high" ? 4 : 2,
+        reason: `Load spike: ${load.reasons.join(", ")}`,
+        explanation: `7-day load ${load.acute} AU against a 28-day average of ${load.chronic} AU/week; mat work is ${load.matShare}% of it.`,
+        action: "cap_sets",
+      }];
+    },
+  },
+};
+
+// Rule settings with defaults filled in: { [ruleId]: { enabled, ...params } }.
+function alertSettings(config = {}) {
+  return Object.fromEntries(
+    Object.entries(alertRules).map(([id, rule]) => [
+      id,
+      { enabled: true, ...Object.fromEntries(Object.entries(rule.params).map(([k, p]) => [k, p.value])), ...(config[id] || {}) },
+    ])
+  );
+}
+
+function evaluateAlerts(athlete, config, today = new Date().toISOString().slice(0, 10)) {
+  const settings = alertSettings(config);
+  return Object.entries(alertRules).flatMap(([ruleId, rule]) =>
+    settings[ruleId].enabled
+      ? rule.evaluate(athlete, settings[ruleId], today).map((x) => ({ ...x, id: `${athlete.id}-${ruleId}-${x.key}`, ruleId, athleteId: athlete.id }))
+      : []
+  );
+}
+
+// The Monday a freshly generated plan belongs to: the calendar week in calendar mode, otherwise
+// this week, or next week once every planned day has already gone by.
+function planWeekStart(athlete, plan, today) {
+  if (athlete.peaking?.weekStart) return athlete.peaking.weekStart;
+  const monday = mondayOf(dayNumber(today));
+  const ahead = plan.some((s) => monday + weekdays.indexOf(s.day) >= dayNumber(today));
+  return isoDay(ahead ? monday : monday + 7);
+}
+
+// Planned days that have passed without any log become missed-session logs. Days that were
+// already over when the plan was generated don't count.
+function detectMissed(athlete, today) {
+  if (!isISODate(athlete.weekStart)) return [];
+  const generated = athlete.lastGeneration?.at?.slice(0, 10);
+  const logged = new Set(athlete.sessionLogs.filter((l) => l.weekIndex === athlete.weekIndex).map((l) => l.sessionId));
+  const dateOf = (s) => dayNumber(athlete.weekStart) + weekdays.indexOf(s.day);
+  return athlete.sessions
+    .filter((s) => !logged.has(s.id) && dateOf(s) < dayNumber(today) && (!isISODate(generated) || dateOf(s) >= dayNumber(generated)))
+    .map((s) => ({
+      id: shortId(),
+      sessionId: s.id,
+      day: s.day,
+      weekIndex: athlete.weekIndex,
+      phase: athlete.currentPhase,
+      planned: athlete.sessions.length,
+      date: isoDay(dayNumber(athlete.weekStart) + weekdays.indexOf(s.day)),
+      missed: true,
+      auto: true,
+      painFlag: 0,
+      completed: [],
+    }));
+}
+
+// target: "active" | "all" | "group:<name>" | an athlete id
+function resolveTargets(state, target) {
+  if (target === "all") return state.athletes.map((a) => a.id);
+  if (target.startsWith("group:")) return state.athletes.filter((a) => a.group === target.slice(6)).map((a) => a.id);
+  if (state.athletes.some((a) => a.id === target)) return [target];
+  return [state.activeAthleteId];
+}
+
+// ---------------------- Quick Actions ----------------------
+// Registered commands. Each declares its parameters (for the command builder) and a pure
+// apply(athlete, params); `compose` builds a command out of others. Every run is recorded in
+// state.history so it can be undone and redone.
+const commandParams = {
+  session: { label: "Session", type: "session", value: "all" }, // "all" or a weekday
+  block: { label: "Block", type: "block", value: "all" }, // "all" or a block index
+  sets: { label: "Sets", type: "number", value: 1 },
+  move: { label: "Replacement", type: "move", value: "" },
+  mode: { label: "Mode", type: "select", options: ["toggle", "on", "off"], value: "toggle" },
+};
+
+// Map fn over the blocks picked by { session, block }.
+function mapTargetBlocks(athlete, { session = "all", block = "all" }, fn) {
+  return {
+    ...athlete,
+    sessions: athlete.sessions.map((s) =>
+      session !== "all" && s.day !== session
+        ? s
+        : withEstimates({ ...s, blocks: s.blocks.map((b, i) => (block !== "all" && i !== Number(block) ? b : fn(b, i, s))) })
+    ),
+  };
+}
+
+const isTrainable = (b) => isSetBased(b) && b.pattern !== "rehab";
+
+const quickActions = {
+  deload: {
+    label: "Toggle Deload",
+    params: ["mode"],
+    describe: ({ mode }) => (mode === "toggle" ? "Toggle deload" : `Deload ${mode}`),
+    toast: "🧯 Deload updated.",
+    apply: (a, { mode }) => {
+      const on = mode === "on" || (mode === "toggle" && a.currentPhase !== "Deload");
+      if (on) return a.currentPhase === "Deload" ? a : { ...a, currentPhase: "Deload", preDeloadPhase: a.currentPhase };
+      return a.currentPhase === "Deload" ? { ...a, currentPhase: a.preDeloadPhase || "Base", preDeloadPhase: null } : a;
+    },
+  },
+  cap_sets: {
+    label: "Cap Volume",
+    params: ["session", "block", "sets"],
+    describe: ({ sets }) => `Cap volume −${sets} set${sets > 1 ? "s" : ""}`,
+    toast: "✂️ Volume capped.",
+    apply: (a, p) => mapTargetBlocks(a, p, (b) => (isTrainable(b) && b.slots > 1 ? withSets(b, Math.max(1, b.slots - p.sets)) : b)),
+  },
+  add_sets: {
+    label: "Add Volume",
+    params: ["session", "block", "sets"],
+    describe: ({ sets }) => `Add volume +${sets} set${sets > 1 ? "s" : ""}`,
+    toast: "➕ Volume added.",
+    apply: (a, p) => mapTargetBlocks(a, p, (b) => (isTrainable(b) ? withSets(b, b.slots + p.sets) : b)),
+  },
+  swap_press: {
+    label: "Swap Press → Shoulder-Safe",
+    params: ["session", "block"],
+    describe: () => "Swap pressing to shoulder-safe",
+    toast: "🔁 Swapped pressing to shoulder-safe variants.",
+    apply: (a, p) =>
+      mapTargetBlocks(a, p, (b) => {
+        const swap = shoulderSafePress(b.move, a.profile.equipment);
+        return swap ? { ...b, move: swap, pattern: exerciseLibrary[swap].pattern, swappedFrom: b.move, loadSuggestion: null, note: `Swapped from ${b.move}: shoulder-safe` } : b;
+      }),
+  },
+  swap_move: {
+    label: "Swap Exercise",
+    params: ["session", "block", "move"],
+    describe: ({ move }) => `Swap to ${move || "…"}`,
+    toast: "🔁 Exercise swapped.",
+    // Only trainable blocks of the replacement's pattern change, so a broad target (all sessions,
+    // all blocks) swaps like for like; a move outside the library needs one specific block.
+    apply: (a, p) =>
+      !p.move || (!exerciseLibrary[p.move] && (p.session === "all" || p.block === "all"))
+        ? a
+        : mapTargetBlocks(a, p, (b) =>
+            b.move === p.move || !isTrainable(b) || (exerciseLibrary[p.move] && exerciseLibrary[p.move].pattern !== b.pattern)
+              ? b
+              : { ...b, move: p.move, pattern: exerciseLibrary[p.move]?.pattern || b.pattern, swappedFrom: b.move, loadSuggestion: null, note: `Swapped from ${b.move} ${p.reason || "by coach"}` }
+          ),
+  },
+  // Plan editor saves; hidden from the command panel.
+  edit_session: {
+    label: "Edit Session",
+    hidden: true,
+    params: [],
+    describe: ({ draft }) => (draft ? `${draft.edited ? "Edit" : "Unlock"} ${draft.day} · ${draft.title}` : "Edit session"),
+    toast: "✏️ Session saved.",
+    apply: (a, { draft }) => (draft ? placeEditedSession(a, draft) : a),
+  },
+  ease_week: {
+    label: "Ease Off Week",
+    params: ["session"],
+    describe: () => "Ease off: deload + −1 set",
+    toast: "🧯 Week eased off.",
+    compose: [
+      ["deload", { mode: "on" }],
+      ["cap_sets", { sets: 1 }],
+    ],
+  },
+};
+
+function commandDefaults(cmd) {
+  return Object.fromEntries(cmd.params.map((k) => [k, commandParams[k].value]));
+}
+
+function runCommand(athlete, type, params = {}) {
+  const cmd = quickActions[type];
+  const p = { ...commandDefaults(cmd), ...params };
+  if (cmd.compose) return cmd.compose.reduce((a, [t, extra]) => runCommand(a, t, { ...p, ...extra }), athlete);
+  return cmd.apply(athlete, p);
+}
+
+// Changed fields of one athlete, with sessions tracked by id so history stays small.
+function athleteChange(before, after) {
+  const out = { id: before.id, before: {}, after: {}, sessions: { before: {}, after: {} } };
+  Object.keys(after).forEach((k) => {
+    if (k === "sessions" || before[k] === after[k]) return;
+    out.before[k] = before[k];
+    out.after[k] = after[k];
+  });
+  const prev = Object.fromEntries(before.sessions.map((s) => [s.id, s]));
+  after.sessions.forEach((s) => {
+    if (prev[s.id] && prev[s.id] !== s) {
+      out.sessions.before[s.id] = prev[s.id];
+      out.sessions.after[s.id] = s;
+    }
+  });
+  const changed = Object.keys(out.after).length + Object.keys(out.sessions.after).length;
+  return changed ? out : null;
+}
+
+// Session snapshots only replay onto sessions still exactly as the command left them. If any was
+// changed since (rescheduled, moved, edited outside the command panel) the athlete's sessions are
+// left alone rather than reverted wholesale; field changes still apply.
+function sessionsStale(athlete, change, side) {
+  const expected = change.sessions[side === "before" ? "after" : "before"];
+  const current = Object.fromEntries(athlete.sessions.map((s) => [s.id, s]));
+  return Object.entries(expected).some(([id, s]) => current[id] !== s && JSON.stringify(current[id]) !== JSON.stringify(s));
+}
+
+function applyChange(athlete, change, side) {
+  const sessions = sessionsStale(athlete, change, side) ? {} : change.sessions[side];
+  return { ...athlete, ...change[side], sessions: athlete.sessions.map((s) => sessions[s.id] || s) };
+}
+
+const HISTORY_LIMIT = 20;
+
+// Run a command on the given athletes and push it onto the undo stack (clearing redo).
+function recordCommand(state, ids, type, params = {}) {
+  const changes = [];
+  const athletes = state.athletes.map((a) => {
+    if (!ids.includes(a.id)) return a;
+    const next = runCommand(a, type, params);
+    const change = athleteChange(a, next);
+    if (change) changes.push(change);
+    return next;
+  });
+  if (!changes.length) return state;
+  const cmd = quickActions[type];
+  const entry = { id: shortId(), at: new Date().toISOString(), type, params, label: cmd.describe({ ...commandDefaults(cmd), ...params }), changes };
+  const history = state.history || { past: [], future: [] };
+  return { ...state, athletes, history: { past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] } };
+}
+
+function stepHistory(state, direction) {
+  const history = state.history || { past: [], future: [] };
+  const from = direction === "undo" ? history.past : history.future;
+  if (!from.length) return state;
+  const entry = from[from.length - 1];
+  const side = direction === "undo" ? "before" : "after";
+  const byId = Object.fromEntries(entry.changes.map((c) => [c.id, c]));
+  return {
+    ...state,
+    athletes: state.athletes.map((a) => (byId[a.id] ? applyChange(a, byId[a.id], side) : a)),
+    history:
+      direction === "undo"
+        ? { past: history.past.slice(0, -1), future: [...history.future, entry] }
+        : { past: [...history.past, entry], future: history.future.slice(0, -1) },
+  };
+}
+
+// A regenerated week replaces an athlete's sessions, so their session snapshots can't be replayed;
+// field changes (phase etc.) stay undoable.
+function forgetSessionHistory(history, athleteId) {
+  const prune = (entries) =>
+    entries
+      .map((e) => ({ ...e, changes: e.changes.map((c) => (c.id === athleteId ? { ...c, sessions: { before: {}, after: {} } } : c)) }))
+      .filter((e) => e.changes.some((c) => Object.keys(c.after).length || Object.keys(c.sessions.after).length));
+  return { past: prune(history.past), future: prune(history.future) };
+}
+
+// Human-readable diff of what a command would change, one line per change.
+function previewCommand(state, ids, type, params = {}) {
+  return state.athletes
+    .filter((a) => ids.includes(a.id))
+    .flatMap((a) => {
+      const change = athleteChange(a, runCommand(a, type, params));
+      if (!change) return [];
+      const who = ids.length > 1 ? `${athleteName(a)} · ` : "";
+      const lines = [];
+      if (change.after.currentPhase) lines.push(`${who}Phase: ${change.before.currentPhase} → ${change.after.currentPhase}`);
+      Object.entries(change.sessions.after).forEach(([id, s]) => {
+        const old = change.sessions.before[id];
+        s.blocks.forEach((b, i) => {
+          const o = old.blocks[i];
+          if (!o || (o.move === b.move && o.scheme === b.scheme)) return;
+          lines.push(`${who}${s.day} · ${o.move} ${o.scheme} → ${o.move !== b.move ? `${b.move} ` : ""}${b.scheme}`);
+        });
+      });
+      return lines;
+    });
+}
+
+// ---------------------- Plan Editor ----------------------
+// Coach edits replace a session by id. Moving it onto a day that already has a session swaps the two.
+function placeEditedSession(athlete, draft) {
+  const prev = athlete.sessions.find((s) => s.id === draft.id);
+  if (!prev) return athlete;
+  return {
+    ...athlete,
+    sessions: athlete.sessions.map((s) => {
+      if (s.id === draft.id) return withEstimates(draft);
+      return s.day === draft.day && prev.day !== draft.day ? { ...s, day: prev.day } : s;
+    }),
+  };
+}
+
+// Drop one generated focus per locked session, preferring one that trains the same region.
+function withoutLockedFocuses(units, locked) {
+  return locked.reduce((left, s) => {
+    if (!left.length) return left;
+    const region = sessionDemand(s.blocks).region;
+    const i = left.findIndex((u) => u.demand.region === region);
+    return left.filter((_, j) => j !== (i === -1 ? left.length - 1 : i));
+  }, units);
+}
+
+// Locked sessions win their day; generated sessions fill the rest.
+function mergeLockedSessions(plan, locked) {
+  const days = new Set(locked.map((s) => s.day));
+  return [...plan.filter((s) => !days.has(s.day)), ...locked].sort((a, b) => weekdays.indexOf(a.day) - weekdays.indexOf(b.day));
+}
+
+// Reusable template from a session: loads are athlete-specific, so they're left out.
+function templateFromSession(session, name) {
+  return {
+    id: shortId(),
+    name: name || session.title,
+    title: session.title,
+    warmup: session.warmup,
+    blocks: session.blocks.map((b) => omit(b, "loadSuggestion", "loadNote", "estMinutes")),
+    finisher: session.finisher,
+    conditioning: session.conditioning || null,
+    cues: session.cues,
+  };
+}
+
+// Built-in templates read their prescriptions from the track that rotates them.
+function templateTrack(key) {
+  return Object.values(programTracks).find((t) => t.rotation.includes(key)) || programTracks.bjj_strength;
+}
+
+const isCustomTemplate = (t) => isObj(t) && typeof t.id === "string" && typeof t.title === "string" && Array.isArray(t.blocks) && t.blocks.length > 0;
+
+// ---------------------- Plan Archive ----------------------
+// Each change to an athlete's plan is kept as a version of that week: { id, weekIndex, weekStart, date, at,
+// reason: generated | edited, source, inputs, sessions }. Generated versions carry the generator inputs.
+const PLAN_VERSIONS_PER_WEEK = 10;
+
+function latestPlanVersion(athlete, weekIndex = athlete.weekIndex) {
+  return athlete.planArchive.filter((v) => v.weekIndex === weekIndex).at(-1) || null;
+}
+
+function needsArchive(athlete) {
+  if (!athlete.sessions.length) return false;
+  const last = latestPlanVersion(athlete);
+  return !last || JSON.stringify(last.sessions) !== JSON.stringify(athlete.sessions);
+}
+
+function archivePlan(athlete, at = new Date().toISOString()) {
+  const gen = athlete.lastGeneration;
+  const generated = gen?.at && !athlete.planArchive.some((v) => v.generatedAt === gen.at);
+  const version = {
+    id: shortId(),
+    weekIndex: athlete.weekIndex,
+    weekStart: athlete.weekStart,
+    date: at.slice(0, 10),
+    at,
+    reason: generated ? "generated" : "edited",
+    source: gen?.source || null,
+    generatedAt: gen?.at || null,
+    inputs: generated ? gen.inputs || null : null,
+    sessions: athlete.sessions,
+  };
+  const week = athlete.planArchive.filter((v) => v.weekIndex === athlete.weekIndex);
+  // Keep the week's first version (what was generated) plus the most recent edits.
+  const drop = week.length >= PLAN_VERSIONS_PER_WEEK ? week[1]?.id : null;
+  return { ...athlete, planArchive: [...athlete.planArchive.filter((v) => v.id !== drop), version] };
+}
+
+// Inputs worth keeping next to a generated plan: what the generator saw when it made it.
+function generationInputs(payload) {
+  return {
+    phase: payload.phase,
+    weekIndex: payload.weekIndex,
+    readiness: payload.readiness,
+    constraints: payload.constraints,
+    periodization: payload.periodization ? { model: payload.periodization.model, position: payload.periodization.position, deloadReason: payload.periodization.deloadReason } : null,
+    peaking: payload.peaking ? { phase: payload.peaking.phase, weeksOut: payload.peaking.weeksOut, comp: payload.peaking.comp?.name } : null,
+    trainingLoad: payload.trainingLoad ? { acwr: payload.trainingLoad.acwr, level: payload.trainingLoad.level } : null,
+    locked: payload.locked.map((s) => s.day),
+    dislikes: payload.athlete.prefs?.dislikes || [],
+  };
+}
+
+function plannedTarget(block) {
+  return { sets: block.slots, reps: schemeReps(block.scheme), load: block.loadSuggestion || null, rpe: block.targetRPE };
+}
+
+// Planned vs actual for one archived version: per session the log (if any) and per block the
+// prescription, what was done and the deviation. Logs are matched by session id, blocks by index.
+function plannedVsActual(athlete, version) {
+  const logs = athlete.sessionLogs.filter((l) => l.weekIndex === version.weekIndex);
+  return version.sessions.map((s) => {
+    const log = logs.filter((l) => l.sessionId === s.id).at(-1) || null;
+    const rows = s.blocks.map((b, i) => {
+      const c = log?.completed?.find((x) => x.blockIndex === i) || null;
+      const planned = c?.target || plannedTarget(b);
+      const actual = c ? { sets: c.sets, reps: c.reps || null, load: c.lastLoad || null, rpe: c.rpe == null ? null : Math.round(c.rpe * 10) / 10 } : null;
+      const diff = (k) => (actual && planned[k] != null && actual[k] != null ? Math.round((actual[k] - planned[k]) * 10) / 10 : null);
+      return {
+        move: b.move,
+        actualMove: c && c.move !== b.move ? c.move : null,
+        planned,
+        actual,
+        delta: actual
+          ? { sets: diff("sets"), reps: diff("reps"), rpe: diff("rpe"), loadPct: planned.load && actual.load ? Math.round(((actual.load - planned.load) / planned.load) * 100) : null }
+          : null,
+      };
+    });
+    return { session: s, log, missed: !!log?.missed, rows };
+  });
+}
+
+// ---------------------- Weekly Report ----------------------
+// The coach's weekly check-in for one athlete. weeklyReportData gathers the facts; a provider (the same
+// pluggable layer as plan generation) writes them up as { title, summary, sections, recommendations },
+// with templateWeeklyReport as the offline writer. The latest report per week lives in athlete.reports.
+// Notes that sound like a problem are flagged and listed first.
+const CONCERNING_NOTE = /pain|hurt|tweak|sore|sick|ill\b|tired|exhaust|injur|neck|shoulder|back|hip|knee|wrist|ankle/i;
+
+// Monday–Sunday of a plan week, from when it was generated; older unplanned weeks fall back to their logs.
+function reportWeekRange(athlete, weekIndex, today) {
+  const start = weekIndex === athlete.weekIndex && isISODate(athlete.weekStart) ? athlete.weekStart : athlete.planArchive.find((v) => v.weekIndex === weekIndex && isISODate(v.weekStart))?.weekStart;
+  const first = athlete.sessionLogs.filter((l) => l.weekIndex === weekIndex && isISODate(l.date)).map((l) => l.date).sort()[0];
+  const from = start || (first ? isoDay(mondayOf(dayNumber(first))) : isoDay(dayNumber(today) - 6));
+  return { from, to: isoDay(dayNumber(from) + 6) };
+}
+
+function weeklyReportData(athlete, weekIndex, { alertConfig = {}, today = new Date().toISOString().slice(0, 10) } = {}) {
+  const { from, to } = reportWeekRange(athlete, weekIndex, today);
+  const prevFrom = isoDay(dayNumber(from) - 7);
+  const inWeek = (d) => d >= from && d <= to;
+  const inPrev = (d) => d >= prevFrom && d < from;
+  const avgOf = (list, fn) => {
+    const v = list.map(fn).filter(Number.isFinite);
+    return v.length ? average(v) : null;
+  };
+  const unit = athleteUnits(athlete.profile);
+  const logs = athlete.sessionLogs.filter((l) => l.weekIndex === weekIndex);
+  const done = logs.filter((l) => !l.missed);
+  const prevDone = athlete.sessionLogs.filter((l) => l.weekIndex === weekIndex - 1 && !l.missed);
+  const version = athlete.planArchive.filter((v) => v.weekIndex === weekIndex).at(-1);
+  const plan = weekIndex === athlete.weekIndex && athlete.sessions.length ? athlete.sessions : version?.sessions || [];
+
+  // Best e1RM of the week against the most recent estimate before it.
+  const lifts = Object.entries(e1rmHistory(athlete.sessionLogs))
+    .map(([move, h]) => {
+      const now = Math.max(0, ...h.filter((x) => x.weekIndex === weekIndex).map((x) => x.e1rm));
+      const before = h.filter((x) => x.weekIndex < weekIndex).at(-1)?.e1rm || null;
+      if (!now) return null;
+      return { move, e1rm: Math.round(toDisplay(now, unit)), previous: before ? Math.round(toDisplay(before, unit)) : null, changePct: before ? Math.round(((now - before) / before) * 100) : null };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.e1rm - a.e1rm)
+    .slice(0, 5);
+
+  const checkIns = athlete.checkIns.filter((c) => inWeek(c.date));
+  const prevCheckIns = athlete.checkIns.filter((c) => inPrev(c.date));
+  const history = readinessHistory(athlete);
+  const scores = history.filter((r) => inWeek(r.date));
+  const matLogs = (athlete.matLogs || []).filter((l) => inWeek(l.date));
+  const load = trainingLoad(athlete, to < today ? to : today);
+
+  const notes = done
+    .filter((l) => String(l.notes || "").trim())
+    .map((l) => ({ date: l.date, day: l.day || null, text: l.notes.trim(), notable: Number(l.painFlag) >= 3 || CONCERNING_NOTE.test(l.notes) }))
+    .sort((a, b) => Number(b.notable) - Number(a.notable) || a.date.localeCompare(b.date))
+    .slice(0, 5);
+
+  // Red flags only describe the live week.
+  const alerts = weekIndex === athlete.weekIndex
+    ? evaluateAlerts(athlete, alertConfig, today).map((x) => {
+        const cmd = quickActions[x.action];
+        return { reason: x.reason, explanation: x.explanation, suggestion: cmd ? cmd.describe({ ...commandDefaults(cmd), ...(x.actionParams || {}) }) : null };
+      })
+    : [];
+
+  return {
+    version: 1,
+    kind: "weekly_report",
+    athlete: { name: athleteName(athlete), goal: trackFor(athlete.profile.goal).label, units: unit },
+    week: { index: weekIndex, from, to, phase: logs[0]?.phase || version?.inputs?.phase || athlete.currentPhase },
+    adherence: { planned: plan.length, done: done.length, missed: logs.filter((l) => l.missed).map((l) => l.day || l.date) },
+    lifts,
+    pain: {
+      avg: avgOf(done, (l) => Number(l.painFlag)),
+      previous: avgOf(prevDone, (l) => Number(l.painFlag)),
+      regions: sorenessRegions
+        .map((region) => ({ region, avg: avgOf(checkIns, (c) => c.soreness?.[region]), previous: avgOf(prevCheckIns, (c) => c.soreness?.[region]) }))
+        .filter((r) => r.avg || r.previous),
+      injuries: athlete.profile.injuries.map((i) => ({ area: i.area, severity: i.severity })),
+    },
+    readiness: {
+      checkIns: checkIns.length,
+      avgScore: avgOf(scores, (r) => r.score),
+      previousScore: avgOf(history.filter((r) => inPrev(r.date)), (r) => r.score),
+      avgSleep: avgOf(checkIns, (c) => c.sleepHours),
+      avgHRV: avgOf(checkIns, (c) => c.hrv),
+      lowDays: scores.filter((r) => r.level === "low" || r.level === "below").length,
+    },
+    training: {
+      matSessions: matLogs.length,
+      matMinutes: matLogs.reduce((a, l) => a + (Number(l.minutes) || 0), 0),
+      conditioningMinutes: done.reduce((a, l) => a + (Number(l.conditioning?.minutes) || 0), 0),
+      acwr: load.acwr,
+      loadLevel: load.level,
+    },
+    notes,
+    alerts,
+  };
+}
+
+function reportRecommendations(d) {
+  const out = [];
+  const { adherence: ad, pain, readiness: r, training: tr } = d;
+  if (ad.planned && ad.done / ad.planned < 0.75)
+    out.push(`Only ${ad.done} of ${ad.planned} sessions done: plan ${Math.max(1, ad.done)} session${ad.done > 1 ? "s" : ""} next week on the days that worked rather than repeating the full week.`);
+  const down = d.lifts.filter((l) => l.changePct != null && l.changePct <= -5);
+  if (down.length) out.push(`${down.map((l) => l.move).join(", ")} e1RM down ${down.length > 1 ? "5%+" : `${Math.abs(down[0].changePct)}%`}: hold loads next week and check sleep and mat volume.`);
+  pain.regions
+    .filter((x) => x.avg != null && x.previous != null && x.avg - x.previous >= 1 && x.avg >= 2)
+    .forEach((x) =>
+      out.push(
+        x.region === "general"
+          ? `General soreness rising (${x.previous} → ${x.avg}/5): trim accessory volume next week.`
+          : `Soreness in the ${x.region} rising (${x.previous} → ${x.avg}/5): go easy on ${x.region}-heavy lifts, or add it as an injury so the plan works around it.`
+      )
+    );
+  if (pain.avg != null && pain.avg >= 3) out.push(`Session pain averaged ${pain.avg}/5: ease off next week and review the lifts that hurt.`);
+  if (r.lowDays >= 3) out.push(`Readiness below normal on ${r.lowDays} days: consider an Ease Off Week (deload + −1 set).`);
+  if (tr.loadLevel === "high") out.push(`Training load spike${tr.acwr ? ` (ACWR ${tr.acwr})` : ""}: keep lifting trimmed until mat volume settles.`);
+  d.alerts.forEach((a) => out.push(`${a.explanation}${a.suggestion ? ` Suggested: ${a.suggestion}.` : ""}`));
+  if (!out.length) {
+    const up = d.lifts.filter((l) => l.changePct != null && l.changePct > 0);
+    out.push(up.length ? `On track: keep progressing ${up.map((l) => l.move).join(", ")}.` : "On track: keep the plan as it is.");
+  }
+  return [...new Set(out)];
+}
+
+// "5/5" or "5/5 (↑ from 3)".
+function reportTrend(now, before, suffix = "") {
+  if (now == null) return "–";
+  if (before == null || now === before) return `${now}${suffix}`;
+  return `${now}${suffix} (${now > before ? "↑" : "↓"} from ${before})`;
+}
+
+function templateWeeklyReport(d) {
+  const { adherence: ad, pain, readiness: r, training: tr } = d;
+  const pct = ad.planned ? Math.round((ad.done / ad.planned) * 100) : null;
+  const best = d.lifts[0];
+  const doneText = ad.planned ? `${ad.done} of ${ad.planned} planned sessions done` : `${ad.done} session${ad.done === 1 ? "" : "s"} done (no plan on file)`;
+  const summary = [
+    `${d.week.phase} week, ${d.week.from} – ${d.week.to}: ${doneText}`,
+    best ? `, best lift ${best.move} ~${best.e1rm} ${d.athlete.units} e1RM` : "",
+    pain.avg ? `, pain averaging ${pain.avg}/5` : "",
+    r.avgScore != null ? `, readiness ${r.avgScore}` : "",
+    ".",
+  ].join("");
+  const sections = [
+    {
+      heading: "Sessions",
+      lines: [
+        `${doneText}${pct != null ? ` (${pct}%)` : ""}`,
+        ...(ad.missed.length ? [`Missed: ${ad.missed.join(", ")}`] : []),
+        `Mat: ${tr.matSessions} session${tr.matSessions === 1 ? "" : "s"}, ${tr.matMinutes} min`,
+        ...(tr.conditioningMinutes ? [`Conditioning: ${tr.conditioningMinutes} min logged`] : []),
+      ],
+    },
+    {
+      heading: "Top lifts (e1RM)",
+      lines: d.lifts.length
+        ? d.lifts.map((l) => `${l.move}: ${l.e1rm} ${d.athlete.units}${l.changePct == null ? " (first estimate)" : ` (${l.changePct >= 0 ? "+" : ""}${l.changePct}% vs ${l.previous})`}`)
+        : ["No loaded sets logged."],
+    },
+    {
+      heading: "Pain & soreness",
+      lines: [
+        `Session pain: ${reportTrend(pain.avg, pain.previous, "/5")}`,
+        ...pain.regions.map((x) => `${x.region}: ${reportTrend(x.avg, x.previous, "/5")}`),
+        ...pain.injuries.map((i) => `Injury: ${i.area} ${i.severity}/5`),
+      ],
+    },
+    {
+      heading: "Readiness",
+      lines: r.checkIns
+        ? [
+            `${r.checkIns} check-in${r.checkIns === 1 ? "" : "s"}, average score ${reportTrend(r.avgScore, r.previousScore)}`,
+            ...(r.avgSleep != null ? [`Sleep ${r.avgSleep} h`] : []),
+            ...(r.avgHRV != null ? [`HRV ${r.avgHRV} ms`] : []),
+            ...(r.lowDays ? [`${r.lowDays} day${r.lowDays === 1 ? "" : "s"} below normal`] : []),
+          ]
+        : ["No check-ins this week."],
+    },
+    { heading: "Notes", lines: d.notes.length ? d.notes.map((n) => `${n.notable ? "⚠️ " : ""}${n.day || n.date}: “${n.text}”`) : ["No notes logged."] },
+  ];
+  return { title: `${d.athlete.name} · Week ${d.week.index} check-in`, summary, sections, recommendations: reportRecommendations(d) };
+}
+
+function reportMarkdown(r) {
+  const list = (lines) => lines.map((l) => `- ${l}`);
+  return [`# ${r.title}`, "", r.summary, "", ...r.sections.flatMap((s) => [`## ${s.heading}`, "", ...list(s.lines), ""]), "## Next week", "", ...list(r.recommendations), ""].join("\n");
+}
+
+function reportHTML(r) {
+  const list = (lines) => `<ul>${lines.map((l) => `<li>${escapeHTML(l)}</li>`).join("")}</ul>`;
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHTML(r.title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 24px; max-width: 680px; }
+  h1 { font-size: 20px; margin: 0 0 8px; } h2 { font-size: 15px; margin: 16px 0 4px; }
+  ul { margin: 0; padding-left: 20px; }
+</style></head><body>
+<h1>${escapeHTML(r.title)}</h1>
+<p>${escapeHTML(r.summary)}</p>
+${r.sections.map((s) => `<h2>${escapeHTML(s.heading)}</h2>${list(s.lines)}`).join("\n")}
+<h2>Next week</h2>${list(r.recommendations)}
+</body></html>`;
+}
+
+// ---------------------- Analytics ----------------------
+// Weekly series for the progress panel; x is always weekIndex.
+const HARD_SET_RPE = 7;
+
+// Done sets of one exercise entry; older aggregate logs expand to `sets` copies of the top set.
+function loggedSets(c) {
+  if (c.setLog) return c.setLog.filter((x) => x.status === "done").map((x) => ({ load: Number(x.load) || 0, reps: Number(x.reps) || 0, rpe: Number(x.rpe) || null }));
+  return Array.from({ length: Number(c.sets) || 0 }, () => ({ load: Number(c.lastLoad) || 0, reps: Number(c.reps) || 0, rpe: Number(c.rpe) || null }));
+}
+
+function byWeek(rows, reduce) {
+  const weeks = {};
+  rows.forEach((r) => (weeks[r.weekIndex] = weeks[r.weekIndex] || []).push(r));
+  return Object.keys(weeks)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((w) => ({ x: w, y: reduce(weeks[w]) }));
+}
+
+function loggedMoves(logs) {
+  return [...new Set(logs.flatMap((l) => (l.completed || []).filter((c) => loggedSets(c).some((x) => x.load > 0)).map((c) => c.move)))].sort();
+}
+
+function setRows(logs, move) {
+  return logs.flatMap((l) => (l.completed || []).filter((c) => !move || c.move === move).flatMap((c) => loggedSets(c).map((x) => ({ ...x, move: c.move, weekIndex: l.weekIndex }))));
+}
+
+function weeklyE1RMSeries(logs, move) {
+  return byWeek(e1rmHistory(logs)[move] || [], (rows) => Math.max(...rows.map((r) => r.e1rm)));
+}
+
+function weeklyTonnageSeries(logs, move) {
+  return byWeek(setRows(logs, move), (rows) => rows.reduce((a, r) => a + r.load * r.reps, 0));
+}
+
+// Bars of sets at RPE ≥ 7 per week, stacked by movement pattern.
+function weeklyHardSets(logs) {
+  const rows = setRows(logs).filter((r) => r.rpe >= HARD_SET_RPE);
+  return byWeek(rows, (week) => {
+    const counts = {};
+    week.forEach((r) => {
+      const pattern = exerciseLibrary[r.move]?.pattern || "other";
+      counts[pattern] = (counts[pattern] || 0) + 1;
+    });
+    return counts;
+  }).map(({ x, y }) => ({ label: `W${x}`, segments: Object.entries(y).map(([key, value]) => ({ key, value })) }));
+}
+
+// RPE at the athlete's most-used load for a move (±2.5%): falling RPE at the same load = getting stronger.
+function rpeDrift(logs, move) {
+  const rows = setRows(logs, move).filter((r) => r.load > 0 && r.rpe);
+  if (!rows.length) return { load: null, points: [] };
+  const counts = {};
+  rows.forEach((r) => (counts[r.load] = (counts[r.load] || 0) + 1));
+  const load = Number(Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0]);
+  const near = rows.filter((r) => Math.abs(r.load - load) <= load * 0.025);
+  return { load, points: byWeek(near, (week) => average(week.map((r) => r.rpe))) };
+}
+
+function painSeries(logs) {
+  return logs.filter((l) => !l.missed).map((l, i) => ({ x: i + 1, y: Number(l.painFlag) || 0, label: `${l.date} · W${l.weekIndex}` }));
+}
+
+// Completed vs planned sessions per phase, from the phase and planned count stamped on each log.
+function adherenceByPhase(logs) {
+  const weeks = {};
+  logs.forEach((l) => {
+    const w = (weeks[l.weekIndex] = weeks[l.weekIndex] || { phase: l.phase || "Unknown", planned: 0, done: 0 });
+    w.planned = Math.max(w.planned, Number(l.planned) || 0);
+    if (!l.missed) w.done++;
+  });
+  const phases = {};
+  Object.values(weeks).forEach((w) => {
+    const p = (phases[w.phase] = phases[w.phase] || { planned: 0, done: 0, weeks: 0 });
+    p.planned += Math.max(w.planned, w.done);
+    p.done += w.done;
+    p.weeks++;
+  });
+  return Object.entries(phases).map(([phase, p]) => ({ phase, weeks: p.weeks, pct: p.planned ? Math.round((p.done / p.planned) * 100) : 0 }));
+}
+
+// ---------------------- Component ----------------------
+export default function App() {
+  const [storageConfig, setStorageConfig] = useState(() => load(STORAGE_CONFIG_KEY, { type: "local", url: "" }));
+  const backend = useMemo(() => createBackend(storageConfig), [storageConfig]);
+  const [loaded, setLoaded] = useState(null);
+  const [loads, setLoads] = useState(0);
+
+  useEffect(() => {
+    let live = true;
+    loadState(backend).then((res) => live && setLoaded(res));
+    return () => {
+      live = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    save(STORAGE_CONFIG_KEY, storageConfig);
+  }, [storageConfig]);
+
+  // Switching (or retrying) reads the chosen backend first and the app restarts on what it holds.
+  // The current roster is only copied to an empty backend, when the coach confirms, and never
+  // when it is the fallback from a failed read (current is null then). Unmounting CoachApp cancels
+  // its debounced save, so pending edits are written to the old backend first.
+  async function switchBackend(config, current) {
+    const flushed = current ? await saveState(backend, current).then(() => "", (e) => `⚠️ Could not save to the previous backend: ${e.message}.`) : "";
+    const next = createBackend(config);
+    setLoaded(null);
+    let res = await loadState(next);
+    if (res.empty && current && window.confirm(`${storageBackends[config.type].label} has no saved data yet. Copy the current roster to it?`)) {
+      res = await saveState(next, current).then(
+        () => ({ state: current, notice: "" }),
+        (e) => ({ state: current, notice: `⚠️ Could not copy to the new backend: ${e.message}` })
+      );
+    }
+    setStorageConfig(config);
+    setLoads((n) => n + 1);
+    setLoaded(flushed ? { ...res, notice: [flushed, res.notice].filter(Boolean).join(" ") } : res);
+  }
+
+  if (!loaded) return <div className="min-h-screen bg-slate-50 p-6 text-sm text-slate-500">Loading…</div>;
+  return <CoachApp key={loads} loaded={loaded} backend={backend} storageConfig={storageConfig} onStorageConfig={switchBackend} />;
+}
+
+function CoachApp({ loaded, backend, storageConfig, onStorageConfig }) {
+  const [state, setState] = useState(loaded.state);
+  const [loading, setLoading] = useState(false);
+  const [toast, setToast] = useState(loaded.notice || "");
+  const [target, setTarget] = useState("active");
+  const readOnly = !!loaded.readOnly;
+
+  useEffect(() => {
+    if (!loaded.notice) return;
+    const t = setTimeout(() => setToast(""), 6000);
+    return () => clearTimeout(t);
+  }, []);
+
+  // Debounced so REST/IndexedDB backends aren't hit on every keystroke.
+  useEffect(() => {
+    if (readOnly) return;
+    const t = setTimeout(() => {
+      saveState(backend, state).catch((e) => {
+        console.error(e);
+        setToast(`⚠️ Could not save: ${e.message}`);
+      });
+    }, 400);
+    return () => clearTimeout(t);
+  }, [state, backend, readOnly]);
+
+  const athlete = state.athletes.find((a) => a.id === state.activeAthleteId) || state.athletes[0];
+
+  // Athletes with competitions follow the calendar; re-checked whenever the roster changes.
+  useEffect(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (!state.athletes.some((a) => calendarSync(a, today))) return;
+    setState((s) => ({
+      ...s,
+      athletes: s.athletes.map((a) => {
+        const patch = calendarSync(a, today);
+        return patch ? { ...a, ...patch } : a;
+      }),
+    }));
+  }, [state.athletes]);
+
+  function updateAthlete(id, fn) {
+    setState((s) => ({ ...s, athletes: s.athletes.map((a) => (a.id === id ? fn(a) : a)) }));
+  }
+  function patchAthlete(patch) {
+    updateAthlete(athlete.id, (a) => ({ ...a, ...patch }));
+  }
+
+  const constraints = useMemo(() => inferConstraints(athlete.profile), [athlete.profile]);
+  const today = new Date().toISOString().slice(0, 10);
+  const readiness = useMemo(() => assessReadiness(athlete.checkIns, today), [athlete.checkIns, today]);
+
+  function saveCheckIn(checkIn) {
+    updateAthlete(athlete.id, (a) => ({
+      ...a,
+      checkIns: [...a.checkIns.filter((c) => c.date !== checkIn.date), { ...checkIn, id: checkIn.id || shortId() }].sort((x, y) => x.date.localeCompare(y.date)),
+    }));
+    setToast("🩺 Check-in saved.");
+    setTimeout(() => setToast(""), 2500);
+  }
+
+  // Derived KPIs
+  const adherence = useMemo(() => adherenceFor(athlete), [athlete.sessions, athlete.sessionLogs, athlete.weekIndex]);
+
+  const redFlags = useMemo(() => {
+    return state.athletes.flatMap((a) => evaluateAlerts(a, state.alertConfig)).sort((a, b) => b.severity - a.severity || String(b.date).localeCompare(String(a.date)));
+  }, [state.athletes, state.alertConfig]);
+
+  // A planned day that passes without a log is recorded as missed.
+  useEffect(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    if (!state.athletes.some((a) => detectMissed(a, today).length)) return;
+    setState((s) => ({ ...s, athletes: s.athletes.map((a) => ({ ...a, sessionLogs: [...a.sessionLogs, ...detectMissed(a, today)] })) }));
+  }, [state.athletes]);
+
+  function planPayload(a, locked = []) {
+    return buildPlanPayload({
+      profile: a.profile,
+      readiness: assessReadiness(a.checkIns),
+      lastWeek: a.sessionLogs.filter((l) => l.weekIndex === a.weekIndex - 1),
+      logs: a.sessionLogs,
+      phase: a.currentPhase,
+      weekIndex: a.weekIndex,
+      periodization: a.periodization,
+      peaking: a.peaking,
+      load: trainingLoad(a),
+      matLogs: a.matLogs,
+      locked,
+      preferences: Object.fromEntries(Object.entries(movePreferences(a)).map(([move, p]) => [move, p.score])),
+      checkIns: a.checkIns,
+    });
+  }
+
+  // Every plan change (generation, edits, commands, undo, rescheduling) is archived as a new version.
+  useEffect(() => {
+    if (!state.athletes.some(needsArchive)) return;
+    setState((s) => ({ ...s, athletes: s.athletes.map((a) => (needsArchive(a) ? archivePlan(a) : a)) }));
+  }, [state.athletes]);
+
+  async function generateWeek() {
+    const id = athlete.id;
+    const locked = athlete.sessions.filter((s) => s.edited && athlete.profile.daysAvailable.includes(s.day));
+    setLoading(true);
+    try {
+      const payload = planPayload(athlete, locked);
+      const res = await aiGenerateSessions(payload, state.ai);
+      const plan = mergeLockedSessions(res.plan, locked);
+      const lastGeneration = { source: res.source, fallbackReason: res.fallbackReason, notes: res.notes, at: new Date().toISOString(), inputs: generationInputs(payload) };
+      setState((s) => ({
+        ...s,
+        athletes: s.athletes.map((a) => (a.id === id ? { ...a, sessions: plan, lastGeneration, weekStart: planWeekStart(a, plan, lastGeneration.at.slice(0, 10)) } : a)),
+        history: forgetSessionHistory(s.history, id),
+      }));
+      setToast(res.fallbackReason ? "⚠️ AI plan rejected. Using rule-engine fallback." : "✅ Week generated.");
+    } catch (e) {
+      console.error(e);
+      setToast("⚠️ Failed to generate.");
+    } finally {
+      setLoading(false);
+      setTimeout(() => setToast(""), 3000);
+    }
+  }
+
+  function logSession(session, log) {
+    const id = shortId();
+    const readiness = assessReadiness(athlete.checkIns);
+    const rpeAvg = average(log.completed?.filter((c) => c.sets > 0).map((c) => Number(c.rpe)));
+    const painFlag = Number(log.painFlag || 0);
+    const entry = {
+      id,
+      sessionId: session.id,
+      day: session.day,
+      weekIndex: athlete.weekIndex,
+      phase: athlete.currentPhase,
+      planned: athlete.sessions.length,
+      date: new Date().toISOString().slice(0, 10),
+      rpeAvg,
+      painFlag,
+      readiness: readiness.checkIn ? { score: readiness.score, z: readiness.z, level: readiness.level } : null,
+      planVersionId: latestPlanVersion(athlete)?.id || null,
+      ...log,
+      conditioning: log.conditioning ? { ...log.conditioning, zone: zoneForHR(log.conditioning.avgHR, heartRateZones(athlete.profile, athlete.checkIns)) } : null,
+    };
+    updateAthlete(athlete.id, (a) => ({ ...a, sessionLogs: [...a.sessionLogs, entry] }));
+    setToast("📘 Session logged.");
+    setTimeout(() => setToast(""), 2500);
+  }
+
+  // Days holding a logged or missed session; nothing can be moved onto them.
+  const closedDays = athlete.sessions
+    .filter((s) => isMissedSession(athlete, s) || athlete.sessionLogs.some((l) => l.sessionId === s.id && l.weekIndex === athlete.weekIndex && !l.missed))
+    .map((s) => s.day);
+
+  // Missed or moved sessions: log the miss, then re-place whatever is left of the week.
+  function reschedule(session, { missed = false, toDay = null }) {
+    const today = new Date().toISOString().slice(0, 10);
+    // Days already behind us in the plan's week can't take a session; a plan for next week has them all.
+    const offset = isISODate(athlete.weekStart) ? dayNumber(today) - dayNumber(athlete.weekStart) : (new Date().getDay() + 6) % 7;
+    const todayName = weekdays[Math.min(6, Math.max(0, offset))];
+    const missLog = { id: shortId(), sessionId: session.id, day: session.day, weekIndex: athlete.weekIndex, phase: athlete.currentPhase, planned: athlete.sessions.length, date: today, missed: true, painFlag: 0, completed: [] };
+    const base = missed ? { ...athlete, sessionLogs: [...athlete.sessionLogs, missLog] } : athlete;
+    const res = replanWeek(base, { fromDay: todayName, missedId: missed ? session.id : null, moveId: toDay ? session.id : null, toDay, today });
+    updateAthlete(athlete.id, (a) => ({ ...a, sessions: res.sessions, ...(missed ? { sessionLogs: [...a.sessionLogs, missLog] } : {}) }));
+    setToast(`📅 ${res.note}`);
+    setTimeout(() => setToast(""), 5000);
+  }
+
+  function applyQuickAction(type, ids = resolveTargets(state, target), params = {}) {
+    const action = quickActions[type];
+    setState((s) => recordCommand(s, ids, type, params));
+    setToast(ids.length > 1 ? `${action.toast} (${ids.length} athletes)` : action.toast);
+    setTimeout(() => setToast(""), 2500);
+  }
+
+  // Built-in templates (as they'd be generated for this athlete today) plus the coach's own.
+  const templateOptions = useMemo(() => {
+    const builtIn = Object.keys(templates).map((key) => {
+      const track = templateTrack(key);
+      return { key, label: `${templates[key](constraints, trackRx(track, athlete.currentPhase)).title} · ${track.label}` };
+    });
+    return [...builtIn, ...state.customTemplates.map((t) => ({ key: t.id, label: `★ ${t.name}`, custom: true }))];
+  }, [constraints, athlete.currentPhase, state.customTemplates]);
+
+  function templateSession(key, day = weekdays[0]) {
+    const custom = state.customTemplates.find((t) => t.id === key);
+    if (custom) return custom;
+    const payload = planPayload(athlete);
+    const track = templateTrack(key);
+    const { conditioning, ...tmpl } = templates[key](payload.constraints, trackRx(track, athlete.currentPhase));
+    const blocks = tmpl.blocks.map((b) => phaseBlock({ ...b, pattern: exerciseLibrary[b.move]?.pattern || null }, track, athlete.currentPhase));
+    const session = { id: "template", day, ...tmpl, blocks, cues: trackFor(athlete.profile.goal).cues };
+    return enforceSessionRules(conditioning ? withConditioning(session, conditioning, payload, athlete.currentPhase) : session, payload);
+  }
+
+  function saveTemplate(session, name) {
+    setState((s) => ({ ...s, customTemplates: [...s.customTemplates, templateFromSession(session, name)] }));
+    setToast(`⭐ Saved template “${name || session.title}”.`);
+    setTimeout(() => setToast(""), 2500);
+  }
+
+  function deleteTemplate(id) {
+    setState((s) => ({ ...s, customTemplates: s.customTemplates.filter((t) => t.id !== id) }));
+  }
+
+  // Learned move preferences, and the same scores in the shape the variant picker wants.
+  const learnedPrefs = useMemo(() => movePreferences(athlete, today), [athlete.sessionLogs, athlete.prefSignals, athlete.prefResets, athlete.profile.prefs, today]);
+  const variantPrefs = useMemo(
+    () => ({ ...athlete.profile.prefs, scores: Object.fromEntries(Object.entries(learnedPrefs).map(([m, p]) => [m, p.score])) }),
+    [learnedPrefs, athlete.profile.prefs]
+  );
+
+  function swapBlock(session, i, to) {
+    const from = session.blocks[i].move;
+    const signal = (kind, move, other) => ({ id: shortId(), date: today, kind, move, other });
+    updateAthlete(athlete.id, (a) => ({ ...a, prefSignals: [...a.prefSignals, signal("swapAway", from, to), signal("swapTo", to, from)] }));
+    applyQuickAction("swap_move", [athlete.id], { session: session.day, block: i, move: to, reason: "at the athlete's request" });
+  }
+
+  // Thumbs-down: never programme it again, and swap this one for the best-liked variant now.
+  function dislikeBlock(session, i) {
+    const move = session.blocks[i].move;
+    const dislikes = [...new Set([...(athlete.profile.prefs.dislikes || []), move])];
+    updateAthlete(athlete.id, (a) => ({ ...a, profile: { ...a.profile, prefs: { ...a.profile.prefs, dislikes } } }));
+    const best = preferredVariants(move, athlete.profile.equipment, { ...variantPrefs, dislikes })[0];
+    if (best) return applyQuickAction("swap_move", [athlete.id], { session: session.day, block: i, move: best.move, reason: "(athlete dislikes it)" });
+    setToast(`👎 Noted – no other ${exerciseLibrary[move]?.pattern?.replace(/_/g, " ") || "variant"} fits this athlete's kit, so ${move} stays this week.`);
+    setTimeout(() => setToast(""), 4000);
+  }
+
+  function resetPreferences(move = null) {
+    updateAthlete(athlete.id, (a) => ({
+      ...a,
+      prefSignals: move ? a.prefSignals.filter((s) => s.move !== move) : [],
+      prefResets: move ? { ...a.prefResets, [move]: today } : { "*": today },
+      profile: { ...a.profile, prefs: { ...a.profile.prefs, dislikes: move ? (a.profile.prefs.dislikes || []).filter((m) => m !== move) : [] } },
+    }));
+  }
+
+  async function generateReport(weekIndex) {
+    const id = athlete.id;
+    const res = await aiGenerateReport(weeklyReportData(athlete, weekIndex, { alertConfig: state.alertConfig, today }), state.ai);
+    const entry = { id: shortId(), weekIndex, date: today, at: new Date().toISOString(), ...res };
+    updateAthlete(id, (a) => ({ ...a, reports: [...a.reports.filter((r) => r.weekIndex !== weekIndex), entry] }));
+    setToast(res.fallbackReason ? "⚠️ AI report rejected. Using the offline template." : "📝 Weekly report ready.");
+    setTimeout(() => setToast(""), 3000);
+  }
+
+  function stepQuickHistory(direction) {
+    const entry = direction === "undo" ? state.history.past.at(-1) : state.history.future.at(-1);
+    if (!entry) return;
+    const side = direction === "undo" ? "before" : "after";
+    const stale = entry.changes.some((c) => {
+      const a = state.athletes.find((x) => x.id === c.id);
+      return a && sessionsStale(a, c, side);
+    });
+    setState((s) => stepHistory(s, direction));
+    setToast(`${direction === "undo" ? "↩️ Undid" : "↪️ Redid"}: ${entry.label}${stale ? " (sessions changed since were left as they are)" : ""}`);
+    setTimeout(() => setToast(""), 2500);
+  }
+
+  function nextWeek() {
+    const next = advanceWeek(athlete);
+    patchAthlete({ ...next, sessions: [] });
+    setToast(`⏭️ Advanced to week ${next.weekIndex} (${next.currentPhase}${next.periodization.deloadReason ? `: ${next.periodization.deloadReason}` : ""}).`);
+    setTimeout(() => setToast(""), 3500);
+  }
+
+  function addAthlete() {
+    const a = newAthlete("", athlete.group);
+    setState((s) => ({ ...s, athletes: [...s.athletes, a], activeAthleteId: a.id }));
+  }
+  function removeAthlete(id) {
+    if (state.athletes.length === 1) return;
+    const a = state.athletes.find((x) => x.id === id);
+    if (!window.confirm(`Remove ${athleteName(a)} and all their logs?`)) return;
+    setState((s) => {
+      const athletes = s.athletes.filter((x) => x.id !== id);
+      return { ...s, athletes, activeAthleteId: s.activeAthleteId === id ? athletes[0].id : s.activeAthleteId };
+    });
+  }
+
+  const groups = [...new Set(state.athletes.map((a) => a.group).filter(Boolean))];
+
+  function commitHealthImport(plan) {
+    updateAthlete(athlete.id, (a) => applyHealthImport(a, plan));
+    setToast(`⌚ Imported ${plan.checkIns.length} check-in day(s) and ${plan.matLogs.length} mat session(s).`);
+    setTimeout(() => setToast(""), 3500);
+  }
+
+  async function importFile(file, mode) {
+    try {
+      const { state: incoming, repairs } = parseImport(await file.text());
+      if (mode === "replace" && !window.confirm(`Replace all current data with ${incoming.athletes.length} athlete(s) from ${file.name}?`)) return;
+      setState((s) => (mode === "replace" ? incoming : mergeStates(s, incoming)));
+      setToast(`📥 Imported ${incoming.athletes.length} athlete(s) (${mode})${repairs.length ? `, ${repairs.length} repair(s)` : ""}.`);
+    } catch (e) {
+      setToast(`⚠️ Import failed: ${e.message}`);
+    }
+    setTimeout(() => setToast(""), 4000);
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className="min-h-screen bg-slate-50 text-slate-900">
+      <header className="sticky top-0 z-10 bg-white border-b border-slate-200">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-xl sm:text-2xl font-bold">M.O.V.E. AI Coaching – MVP</h1>
+          <div className="text-sm opacity-70">{athleteName(athlete)} · Phase: {athlete.currentPhase} · Week {athlete.weekIndex} · Adherence {adherence}%</div>
+        </div>
+      </header>
+
+      <main className="max-w-6xl mx-auto px-4 py-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Left Column: Onboarding & Generator */}
+        <section className="lg:col-span-1 space-y-6">
+          <Card title="Roster">
+            <Roster
+              athletes={state.athletes}
+              flagCounts={redFlags.reduce((acc, f) => ({ ...acc, [f.athleteId]: (acc[f.athleteId] || 0) + 1 }), {})}
+              activeId={athlete.id}
+              onSelect={(id) => setState((s) => ({ ...s, activeAthleteId: id }))}
+              onGroup={(id, group) => updateAthlete(id, (a) => ({ ...a, group }))}
+              onAdd={addAthlete}
+              onRemove={removeAthlete}
+            />
+          </Card>
+
+          <Card title="Onboarding">
+            <OnboardingForm key={athlete.id} value={athlete.profile} onChange={(p) => patchAthlete({ profile: p })} />
+          </Card>
+
+          <Card title="Exercise Preferences">
+            <PreferencesPanel learned={learnedPrefs} barbellBias={athlete.profile.prefs.barbellBias !== false}
+                              onBarbellBias={(on) => patchAthlete({ profile: { ...athlete.profile, prefs: { ...athlete.profile.prefs, barbellBias: on } } })}
+                              onReset={resetPreferences} />
+          </Card>
+
+          <Card title="Daily Check-in">
+            <CheckIn
+              key={athlete.id}
+              checkIns={athlete.checkIns}
+              onSave={saveCheckIn}
+              onDelete={(id) => updateAthlete(athlete.id, (a) => ({ ...a, checkIns: a.checkIns.filter((c) => c.id !== id) }))}
+            />
+          </Card>
+
+          <Card title="Health Data Import">
+            <HealthImport key={athlete.id} athlete={athlete} onCommit={commitHealthImport} />
+          </Card>
+
+          <Card title="Mat Sessions & Load">
+            <MatLog
+              key={athlete.id}
+              logs={athlete.matLogs}
+              load={trainingLoad(athlete)}
+              onAdd={(l) => updateAthlete(athlete.id, (a) => ({ ...a, matLogs: [...a.matLogs, { id: shortId(), ...l }] }))}
+              onDelete={(id) => updateAthlete(athlete.id, (a) => ({ ...a, matLogs: a.matLogs.filter((l) => l.id !== id) }))}
+            />
+          </Card>
+
+          <Card title="Conditioning">
+            <ConditioningPanel athlete={athlete} />
+          </Card>
+
+          <Card title="Storage">
+            <StorageSettings
+              value={storageConfig}
+              readOnly={readOnly}
+              onChange={(cfg) => onStorageConfig(cfg, readOnly ? null : state)}
+            />
+          </Card>
+
+          <Card title="Export / Import">
+            <DataTools
+              onExportJSON={() => downloadFile(`move-backup-${stamp}.json`, exportStateJSON(state), "application/json")}
+              onExportCSV={() => downloadFile(`move-session-logs-${stamp}.csv`, sessionLogsToCSV(state.athletes), "text/csv")}
+              onPrint={() => {
+                const problem = !athlete.sessions.length ? "Generate a week first." : !printWeek(athlete) ? "⚠️ Allow pop-ups to print the week." : "";
+                if (!problem) return;
+                setToast(problem);
+                setTimeout(() => setToast(""), 3000);
+              }}
+              onImport={importFile}
+            />
+          </Card>
+
+          <Card title="Program Generator">
+            <AIProviderSettings value={state.ai} onChange={(ai) => setState((s) => ({ ...s, ai }))} />
+            <PeriodizationSettings athlete={athlete} onChange={(periodization) => patchAthlete(periodization)} />
+            <div className="flex items-center gap-2 mt-3">
+              <button
+                onClick={generateWeek}
+                disabled={loading}
+                className="px-4 py-2 rounded-2xl bg-slate-900 text-white shadow hover:shadow-md disabled:opacity-50"
+              >
+                {loading ? "Generating…" : "Generate Week"}
+              </button>
+              <button onClick={nextWeek} disabled={!!athlete.startDate && athlete.profile.competitions.length > 0}
+                      title={athlete.profile.competitions.length ? "Weeks follow the competition calendar" : undefined}
+                      className="px-3 py-2 rounded-2xl bg-slate-200 hover:bg-slate-300 disabled:opacity-50">Next Week</button>
+            </div>
+            <p className="text-xs mt-2 text-slate-500">{trackFor(athlete.profile.goal).label} track. Respects BJJ days, equipment and injuries. Auto-progression uses readiness & pain flags.</p>
+            {constraints.injuries.length > 0 && (
+              <ul className="text-xs mt-2 text-slate-600">
+                {constraints.injuries.map((i, idx) => (
+                  <li key={idx}>{i.area} {i.severity}/5 → {i.action === "remove" ? "remove + rehab" : i.action}{i.aggravates.length ? ` (avoid ${i.aggravates.join(", ")})` : ""}</li>
+                ))}
+              </ul>
+            )}
+            {athlete.lastGeneration && (
+              <div className="text-xs mt-2 text-slate-600">
+                Last plan: {aiProviders[athlete.lastGeneration.source]?.label || athlete.lastGeneration.source}
+                {athlete.lastGeneration.notes && <div>{athlete.lastGeneration.notes}</div>}
+                {athlete.lastGeneration.fallbackReason && <div className="text-amber-700">Fallback: {athlete.lastGeneration.fallbackReason}</div>}
+              </div>
+            )}
+          </Card>
+        </section>
+
+        {/* Middle Column: Sessions */}
+        <section className="lg:col-span-2 space-y-6">
+          <Card title="This Week’s Plan">
+            {athlete.sessions.length === 0 ? (
+              <p className="text-slate-600 text-sm">No sessions yet. Click <b>Generate Week</b> to create your plan.</p>
+            ) : (
+              <div className="space-y-4">
+                {[...athlete.sessions].sort((a, b) => weekdays.indexOf(a.day) - weekdays.indexOf(b.day)).map((s) => (
+                  <SessionCard key={s.id} session={s} onLog={(log) => logSession(s, log)}
+                               today={sessionDate(athlete, s) === today ? applyDayReadiness(s, readiness, loadSetup(athlete.profile)) : null}
+                               setup={loadSetup(athlete.profile)}
+                               logged={athlete.sessionLogs.some((l) => l.sessionId === s.id && l.weekIndex === athlete.weekIndex && !l.missed)}
+                               missed={isMissedSession(athlete, s)} closedDays={closedDays}
+                               onMissed={() => reschedule(s, { missed: true })}
+                               onMove={(toDay) => reschedule(s, { toDay })}
+                               onEdit={(draft) => applyQuickAction("edit_session", [athlete.id], { draft })}
+                               templateOptions={templateOptions} onLoadTemplate={templateSession}
+                               onSaveTemplate={saveTemplate} onDeleteTemplate={deleteTemplate}
+                               variants={(move) => preferredVariants(move, athlete.profile.equipment, variantPrefs)}
+                               onSwapBlock={(i, to) => swapBlock(s, i, to)} onDislikeBlock={(i) => dislikeBlock(s, i)} />
+                ))}
+              </div>
+            )}
+          </Card>
+
+          <Card title="Plan History">
+            <PlanHistory key={athlete.id} athlete={athlete} />
+          </Card>
+
+          <Card title="Weekly Check-in Report">
+            <WeeklyReport key={athlete.id} athlete={athlete} onGenerate={generateReport} />
+          </Card>
+
+          <Card title="Progress Analytics">
+            <Analytics key={athlete.id} logs={athlete.sessionLogs} unit={athleteUnits(athlete.profile)} />
+          </Card>
+
+          <Card title="Coach Dashboard – Triage">
+            {redFlags.length === 0 ? (
+              <p className="text-slate-600 text-sm">No red flags this week. Keep rolling. 🥋</p>
+            ) : (
+              <ul className="text-sm list-disc pl-5 space-y-2">
+                {redFlags.map((f) => {
+                  const a = state.athletes.find((x) => x.id === f.athleteId);
+                  return (
+                    <li key={f.id}>
+                      <button className="underline" onClick={() => setState((s) => ({ ...s, activeAthleteId: f.athleteId }))}>{athleteName(a)}</button>
+                      {" "}· {f.date}: {f.reason} <span className="text-xs text-slate-500">(sev {f.severity})</span>
+                      <div className="text-xs text-slate-500">{f.explanation}</div>
+                      {quickActions[f.action] && (
+                        <button className="mt-1 px-2 py-0.5 rounded-lg border text-xs hover:bg-slate-50" onClick={() => applyQuickAction(f.action, [f.athleteId], f.actionParams)}>
+                          Suggested: {quickActions[f.action].label}
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
               </ul>
             )}
-            <div className="flex gap-2 mt-3 flex-wrap">
-              <button onClick={() => applyQuickAction("swap_press")} className="px-3 py-2 rounded-xl bg-white border hover:bg-slate-50">Swap Press → DB Neutral</button>
-              <button onClick={() => applyQuickAction("cap_sets")} className="px-3 py-2 rounded-xl bg-white border hover:bg-slate-50">Cap Volume (−1 set)</button>
-              <button onClick={() => applyQuickAction("deload")} className="px-3 py-2 rounded-xl bg-white border hover:bg-slate-50">Toggle Deload</button>
+            <details className="mt-3 text-sm">
+              <summary className="cursor-pointer text-xs text-slate-500">Alert rules</summary>
+              <AlertRulesEditor value={state.alertConfig} onChange={(alertConfig) => setState((s) => ({ ...s, alertConfig }))} />
+            </details>
+            <table className="w-full text-xs mt-3">
+              <thead>
+                <tr className="text-left text-slate-500">
+                  <th>Athlete</th>
+                  <th>Group</th>
+                  <th>Phase · Wk</th>
+                  <th>Adherence</th>
+                </tr>
+              </thead>
+              <tbody>
+                {state.athletes.map((a) => (
+                  <tr key={a.id}>
+                    <td>{athleteName(a)}</td>
+                    <td>{a.group || "—"}</td>
+                    <td>{a.currentPhase} · {a.weekIndex}</td>
+                    <td>{a.sessions.length ? `${adherenceFor(a)}%` : "no plan"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex items-center gap-2 mt-3">
+              <label className="text-xs text-slate-500">Apply to</label>
+              <select className="input !w-56" value={target} onChange={(e) => setTarget(e.target.value)}>
+                <option value="active">Active athlete ({athleteName(athlete)})</option>
+                {state.athletes.map((a) => (
+                  <option key={a.id} value={a.id}>{athleteName(a)}</option>
+                ))}
+                {groups.map((g) => (
+                  <option key={g} value={`group:${g}`}>Group: {g}</option>
+                ))}
+                <option value="all">All athletes</option>
+              </select>
             </div>
+            <CommandPanel
+              athlete={athlete}
+              preview={(type, params) => previewCommand(state, resolveTargets(state, target), type, params)}
+              onApply={(type, params) => applyQuickAction(type, undefined, params)}
+              history={state.history}
+              onUndo={() => stepQuickHistory("undo")}
+              onRedo={() => stepQuickHistory("redo")}
+            />
           </Card>
         </section>
       </main>
@@ -394,6 +4131,134 @@ function Card({ title, children }) {
   );
 }
 
+function Roster({ athletes, flagCounts, activeId, onSelect, onGroup, onAdd, onRemove }) {
+  return (
+    <div className="space-y-2 text-sm">
+      {athletes.map((a) => (
+        <div key={a.id} className={"flex items-center gap-2 rounded-xl p-2 border " + (a.id === activeId ? "bg-slate-100 border-slate-400" : "")}>
+          <button className="flex-1 text-left truncate" onClick={() => onSelect(a.id)}>
+            {athleteName(a)}
+            <span className="ml-2 text-xs text-slate-500">{flagCounts[a.id] ? `⚑ ${flagCounts[a.id]}` : ""}</span>
+          </button>
+          <input className="input !w-28" placeholder="Group" value={a.group} onChange={(e) => onGroup(a.id, e.target.value)} />
+          {athletes.length > 1 && <button className="px-2 py-1 rounded-lg border" onClick={() => onRemove(a.id)}>✕</button>}
+        </div>
+      ))}
+      <button className="px-3 py-2 rounded-xl bg-white border" onClick={onAdd}>Add Athlete</button>
+    </div>
+  );
+}
+
+function CommandPanel({ athlete, preview, onApply, history, onUndo, onRedo }) {
+  const [type, setType] = useState("cap_sets");
+  const [params, setParams] = useState({});
+  const cmd = quickActions[type];
+  const p = { ...commandDefaults(cmd), ...params };
+  const session = athlete.sessions.find((s) => s.day === p.session);
+  const lines = preview(type, p);
+  const last = history.past[history.past.length - 1];
+  const next = history.future[history.future.length - 1];
+
+  function field(k) {
+    const spec = commandParams[k];
+    const set = (v) => setParams((x) => ({ ...x, [k]: v }));
+    if (spec.type === "session")
+      return (
+        <select className="input !w-36" value={p.session} onChange={(e) => setParams((x) => ({ ...x, session: e.target.value, block: "all" }))}>
+          <option value="all">All sessions</option>
+          {athlete.sessions.map((s) => (
+            <option key={s.id} value={s.day}>{s.day} · {s.title}</option>
+          ))}
+        </select>
+      );
+    if (spec.type === "block")
+      return (
+        <select className="input !w-40" value={p.block} onChange={(e) => set(e.target.value)}>
+          <option value="all">All blocks</option>
+          {(session ? session.blocks : []).map((b, i) => (
+            <option key={i} value={i}>{b.move}</option>
+          ))}
+        </select>
+      );
+    if (spec.type === "number") return <input type="number" min={1} className="input !w-16" value={p[k]} onChange={(e) => set(Math.max(1, Number(e.target.value) || 1))} />;
+    if (spec.type === "move")
+      return (
+        <select className="input !w-48" value={p.move} onChange={(e) => set(e.target.value)}>
+          <option value="">Pick exercise…</option>
+          {Object.keys(exerciseLibrary).sort().map((m) => (
+            <option key={m}>{m}</option>
+          ))}
+        </select>
+      );
+    return (
+      <select className="input !w-28" value={p[k]} onChange={(e) => set(e.target.value)}>
+        {spec.options.map((o) => (
+          <option key={o}>{o}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <div className="space-y-2 mt-3 text-sm">
+      <div className="flex gap-2 flex-wrap">
+        {Object.entries(quickActions).filter(([, action]) => !action.hidden).map(([id, action]) => (
+          <button key={id} onClick={() => { setType(id); setParams({}); }}
+                  className={"px-3 py-2 rounded-xl border " + (id === type ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50")}>
+            {action.label}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {cmd.params.map((k) => (
+          <label key={k} className="flex items-center gap-1 text-xs text-slate-500">
+            {commandParams[k].label} {field(k)}
+          </label>
+        ))}
+      </div>
+      <div className="bg-slate-50 border rounded-xl p-2 text-xs">
+        {lines.length ? (
+          <ul className="space-y-0.5">{lines.map((l, i) => <li key={i}>{l}</li>)}</ul>
+        ) : (
+          <span className="text-slate-500">No changes for this target.</span>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <button className="px-3 py-2 rounded-xl bg-slate-900 text-white disabled:opacity-50" disabled={!lines.length} onClick={() => onApply(type, p)}>
+          Apply: {cmd.describe(p)}
+        </button>
+        <button className="px-3 py-2 rounded-xl bg-white border disabled:opacity-50" disabled={!last} onClick={onUndo} title={last ? last.label : ""}>↩ Undo</button>
+        <button className="px-3 py-2 rounded-xl bg-white border disabled:opacity-50" disabled={!next} onClick={onRedo} title={next ? next.label : ""}>↪ Redo</button>
+        {last && <span className="text-xs text-slate-500">Last: {last.label}</span>}
+      </div>
+    </div>
+  );
+}
+
+function AlertRulesEditor({ value, onChange }) {
+  const settings = alertSettings(value);
+  const set = (id, patch) => onChange({ ...value, [id]: { ...(value || {})[id], ...patch } });
+  return (
+    <div className="space-y-2 mt-2">
+      {Object.entries(alertRules).map(([id, rule]) => (
+        <div key={id} className="flex flex-wrap items-center gap-2 text-xs">
+          <label className="flex items-center gap-1 w-44">
+            <input type="checkbox" checked={settings[id].enabled} onChange={(e) => set(id, { enabled: e.target.checked })} />
+            {rule.label}
+          </label>
+          {Object.entries(rule.params).map(([k, p]) => (
+            <label key={k} className="flex items-center gap-1 text-slate-500">
+              {p.label}
+              <input type="number" className="input !w-16 !py-1" step="any" value={settings[id][k]} onChange={(e) => set(id, { [k]: Number(e.target.value) })} />
+            </label>
+          ))}
+        </div>
+      ))}
+      <button className="px-2 py-1 rounded-lg border text-xs" onClick={() => onChange({})}>Reset to defaults</button>
+    </div>
+  );
+}
+
 function OnboardingForm({ value, onChange }) {
   const [p, setP] = useState(value);
   useEffect(() => setP(value), [value]);
@@ -405,6 +4270,10 @@ function OnboardingForm({ value, onChange }) {
   function toggleBJJ(day) {
     setP((s) => ({ ...s, bjjDays: s.bjjDays.includes(day) ? s.bjjDays.filter((d) => d !== day) : [...s.bjjDays, day] }));
   }
+  function togglePreferred(day) {
+    const preferredDays = p.prefs.preferredDays || [];
+    setP((s) => ({ ...s, prefs: { ...s.prefs, preferredDays: preferredDays.includes(day) ? preferredDays.filter((d) => d !== day) : [...preferredDays, day] } }));
+  }
 
   return (
     <div className="space-y-3 text-sm">
@@ -437,96 +4306,534 @@ function OnboardingForm({ value, onChange }) {
           ))}
         </div>
       </div>
+      <div className="grid grid-cols-2 gap-2 items-end">
+        <label className="flex items-center gap-2">Sessions/Week
+          <select className="input" value={p.sessionsPerWeek || ""} onChange={(e) => setP({ ...p, sessionsPerWeek: e.target.value ? Number(e.target.value) : null })}>
+            <option value="">Every available day</option>
+            {p.daysAvailable.map((_, i) => (
+              <option key={i} value={i + 1}>{i + 1}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">Preferred Days (used when sessions &lt; available days)</label>
+        <div className="flex flex-wrap gap-1">
+          {p.daysAvailable.map((d) => (
+            <button key={d} type="button" onClick={() => togglePreferred(d)} className={'chip ' + ((p.prefs.preferredDays || []).includes(d) ? 'chip-on' : '')}>{d}</button>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">BJJ Days</label>
+        <div className="flex flex-wrap gap-1">
+          {weekdays.map((d) => (
+            <button key={d} type="button" onClick={() => toggleBJJ(d)} className={'chip ' + (p.bjjDays.includes(d) ? 'chip-on' : '')}>{d}</button>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">Equipment</label>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.keys(p.equipment).map((k) => (
+            <label key={k} className="flex items-center gap-2">
+              <input type="checkbox" checked={p.equipment[k]} onChange={(e) => setP({ ...p, equipment: { ...p.equipment, [k]: e.target.checked } })} />
+              {k}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">Units & Loading</label>
+        <LoadingEditor value={p} onChange={(patch) => setP((s) => ({ ...s, ...patch }))} />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">Heart Rate (for conditioning zones; leave blank to estimate)</label>
+        <div className="grid grid-cols-3 gap-2">
+          {[["age", "Age"], ["maxHR", "Max HR"], ["restingHR", "Resting HR"]].map(([k, label]) => (
+            <label key={k} className="text-xs text-slate-500">
+              {label}
+              <input type="number" className="input" min={1} value={p[k] ?? ""} onChange={(e) => setP({ ...p, [k]: Number(e.target.value) > 0 ? Number(e.target.value) : null })} />
+            </label>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">Injuries (quick)</label>
+        <InjuryEditor value={p.injuries} onChange={(inj) => setP({ ...p, injuries: inj })} />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-500 mb-1">Competitions</label>
+        <CompetitionEditor value={p.competitions} onChange={(competitions) => setP({ ...p, competitions })} />
+      </div>
+    </div>
+  );
+}
+
+// Unit system plus the bar, plates and bells the athlete loads with (in that unit).
+function LoadingEditor({ value, onChange }) {
+  const unit = athleteUnits(value);
+  const loading = loadingFor(value);
+  const list = (v) => String(v).split(",").map((x) => Number(x.trim())).filter((x) => x > 0);
+  const set = (patch) => onChange({ loading: { ...loading, ...patch } });
+  const field = (k, label) => (
+    <label key={`${unit}-${k}`} className="text-xs text-slate-500">
+      {label}
+      <input className="input" defaultValue={loading[k].join(", ")} onBlur={(e) => list(e.target.value).length && set({ [k]: list(e.target.value) })} />
+    </label>
+  );
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <select className="input" value={unit} onChange={(e) => onChange({ units: e.target.value, loading: null })}>
+          <option value="lb">Pounds (lb)</option>
+          <option value="kg">Kilograms (kg)</option>
+        </select>
+        <label className="flex items-center gap-2 text-xs text-slate-500">Bar ({unit})
+          <input type="number" min={0} className="input" value={loading.bar} onChange={(e) => set({ bar: Math.max(0, Number(e.target.value) || 0) })} />
+        </label>
+      </div>
+      {field("plates", `Plates (${unit}, comma)`)}
+      <div className="grid grid-cols-2 gap-2">
+        {field("dumbbells", `Dumbbells (${unit})`)}
+        {field("kettlebells", `Kettlebells (${unit})`)}
+      </div>
+    </div>
+  );
+}
+
+function InjuryEditor({ value, onChange }) {
+  const [list, setList] = useState(value || []);
+  useEffect(() => setList(value || []), [value]);
+  useEffect(() => onChange(list), [list]);
+
+  function add() {
+    setList((l) => [...l, { id: shortId(), area: "shoulder", aggravates: ["press"], severity: 2 }]);
+  }
+  function upd(i, patch) {
+    setList((l) => l.map((x, idx) => (idx === i ? { ...x, ...patch } : x)));
+  }
+  function del(i) {
+    setList((l) => l.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="space-y-2">
+      {list.length === 0 && <p className="text-xs text-slate-500">No injuries added.</p>}
+      {list.map((it, i) => (
+        <div key={it.id} className="bg-slate-50 border rounded-xl p-2 flex flex-wrap items-center gap-2">
+          <select className="input !w-32" value={it.area} onChange={(e) => upd(i, { area: e.target.value })}>
+            <option>shoulder</option>
+            <option>knee</option>
+            <option>hip</option>
+            <option>back</option>
+            <option>wrist</option>
+            <option>ankle</option>
+          </select>
+          <input className="input" placeholder="Aggravates (comma)" value={it.aggravates?.join(", ")}
+                 onChange={(e) => upd(i, { aggravates: e.target.value.split(",").map((s) => s.trim()) })} />
+          <label className="flex items-center gap-2">Severity
+            <input type="number" className="input !w-16" min={1} max={5} value={it.severity}
+                   onChange={(e) => upd(i, { severity: Number(e.target.value) })} />
+          </label>
+          <button className="px-2 py-1 rounded-lg border" onClick={() => del(i)}>Delete</button>
+        </div>
+      ))}
+      <button className="px-3 py-2 rounded-xl bg-white border" onClick={add}>Add Injury</button>
+    </div>
+  );
+}
+
+function CompetitionEditor({ value, onChange }) {
+  const [list, setList] = useState(value || []);
+  useEffect(() => setList(value || []), [value]);
+  useEffect(() => onChange(list), [list]);
+
+  function add() {
+    setList((l) => [...l, { id: shortId(), name: "", date: "", priority: "A" }]);
+  }
+  function upd(i, patch) {
+    setList((l) => l.map((x, idx) => (idx === i ? { ...x, ...patch } : x)));
+  }
+  function del(i) {
+    setList((l) => l.filter((_, idx) => idx !== i));
+  }
+
+  return (
+    <div className="space-y-2">
+      {list.length === 0 && <p className="text-xs text-slate-500">No competitions. Weeks advance with “Next Week”.</p>}
+      {list.map((c, i) => (
+        <div key={c.id} className="bg-slate-50 border rounded-xl p-2 flex flex-wrap items-center gap-2">
+          <input className="input !w-36" placeholder="Event" value={c.name} onChange={(e) => upd(i, { name: e.target.value })} />
+          <input type="date" className="input !w-40" value={c.date} onChange={(e) => upd(i, { date: e.target.value })} />
+          <select className="input !w-40" value={c.priority} onChange={(e) => upd(i, { priority: e.target.value })}>
+            {Object.entries(peakingRules).map(([id, r]) => (
+              <option key={id} value={id}>{r.label}</option>
+            ))}
+          </select>
+          <button className="px-2 py-1 rounded-lg border" onClick={() => del(i)}>Delete</button>
+        </div>
+      ))}
+      <button className="px-3 py-2 rounded-xl bg-white border" onClick={add}>Add Competition</button>
+    </div>
+  );
+}
+
+function DataTools({ onExportJSON, onExportCSV, onPrint, onImport }) {
+  const [mode, setMode] = useState("merge");
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex flex-wrap gap-2">
+        <button className="px-3 py-2 rounded-xl bg-white border" onClick={onExportJSON}>Backup (JSON)</button>
+        <button className="px-3 py-2 rounded-xl bg-white border" onClick={onExportCSV}>Logs (CSV)</button>
+        <button className="px-3 py-2 rounded-xl bg-white border" onClick={onPrint}>Print Week</button>
+      </div>
+      <div className="flex items-center gap-2">
+        <select className="input !w-28" value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="merge">Merge</option>
+          <option value="replace">Replace</option>
+        </select>
+        <input type="file" accept="application/json,.json" className="text-xs"
+               onChange={(e) => {
+                 if (e.target.files[0]) onImport(e.target.files[0], mode);
+                 e.target.value = "";
+               }} />
+      </div>
+    </div>
+  );
+}
+
+function StorageSettings({ value, readOnly, onChange }) {
+  const [draft, setDraft] = useState(value);
+  return (
+    <div className="space-y-2 text-sm">
+      <select className="input" value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+        {Object.entries(storageBackends).map(([id, b]) => (
+          <option key={id} value={id}>{b.label}</option>
+        ))}
+      </select>
+      {draft.type === "rest" && (
+        <input className="input" placeholder="http://localhost:8787" value={draft.url} onChange={(e) => setDraft({ ...draft, url: e.target.value })} />
+      )}
+      <div className="flex items-center gap-2">
+        <button className="px-3 py-2 rounded-xl bg-white border" disabled={draft.type === value.type && draft.url === value.url && !readOnly} onClick={() => onChange(draft)}>
+          Use this backend
+        </button>
+        <span className="text-xs text-slate-500">Loads what it holds; an empty one can take a copy of the current data.</span>
+      </div>
+      {readOnly && <p className="text-xs text-amber-700">Storage failed to load, so saving is paused to avoid overwriting your data.</p>}
+    </div>
+  );
+}
+
+function PeriodizationSettings({ athlete, onChange }) {
+  const p = athlete.periodization;
+  const weeks = cycleWeeks(modelFor(p.model));
+  const fatigue = athlete.currentPhase !== "Deload" ? fatigueTrigger(athlete) : null;
+  return (
+    <div className="mt-2 space-y-1 text-sm">
+      <label className="block text-xs text-slate-500">Periodization</label>
+      <select className="input" value={p.model}
+              onChange={(e) => {
+                const model = e.target.value;
+                const position = firstWeekOf(model, athlete.currentPhase);
+                onChange({ periodization: { ...p, model, position }, currentPhase: cycleWeeks(modelFor(model))[position] });
+              }}>
+        {Object.entries(periodizationModels).map(([id, m]) => (
+          <option key={id} value={id}>{m.label}</option>
+        ))}
+      </select>
+      <div className="text-xs text-slate-500">
+        Cycle week {p.position + 1}/{weeks.length} · {modelFor(p.model).cycle.map((b) => `${b.phase} ×${b.weeks}`).join(" → ")}
+      </div>
+      {athlete.peaking && <div className="text-xs text-indigo-700">🏆 {peakingNote(athlete.peaking)}</div>}
+      {p.deloadReason && <div className="text-xs text-amber-700">Reactive deload: {p.deloadReason}</div>}
+      {fatigue && <div className="text-xs text-amber-700">Fatigue flag: {fatigue}. Next week will deload.</div>}
+    </div>
+  );
+}
+
+function AIProviderSettings({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  return (
+    <div className="space-y-2 text-sm">
       <div>
-        <label className="block text-xs text-slate-500 mb-1">BJJ Days</label>
-        <div className="flex flex-wrap gap-1">
-          {weekdays.map((d) => (
-            <button key={d} type="button" onClick={() => toggleBJJ(d)} className={'chip ' + (p.bjjDays.includes(d) ? 'chip-on' : '')}>{d}</button>
+        <label className="block text-xs text-slate-500 mb-1">Plan Provider</label>
+        <select className="input" value={value.provider} onChange={(e) => set({ provider: e.target.value })}>
+          {Object.entries(aiProviders).map(([id, p]) => (
+            <option key={id} value={id}>{p.label}</option>
           ))}
+        </select>
+      </div>
+      {value.provider !== "template" && (
+        <input className="input" placeholder={value.provider === "mock" ? "http://localhost:8787/plan" : "Endpoint URL"} value={value.endpoint}
+               onChange={(e) => set({ endpoint: e.target.value })} />
+      )}
+      {value.provider === "llm" && (
+        <input className="input" placeholder="Model" value={value.model} onChange={(e) => set({ model: e.target.value })} />
+      )}
+    </div>
+  );
+}
+
+function CheckIn({ checkIns, onSave, onDelete }) {
+  const blank = (date) => ({ date, sleepHours: 7, sleepQuality: 3, stress: 3, mood: 3, hrv: null, restingHR: null, soreness: {}, bjjLoad: "moderate" });
+  const [draft, setDraft] = useState(() => {
+    const date = new Date().toISOString().slice(0, 10);
+    return { ...blank(date), ...checkIns.find((c) => c.date === date) };
+  });
+  const r = assessReadiness(checkIns, draft.date);
+  const history = readinessHistory({ checkIns }).slice(-BASELINE_WINDOW_DAYS);
+  const recent = [...checkIns].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 5);
+  const set = (k, v) => setDraft((d) => ({ ...d, [k]: v }));
+  const optional = (k, label) => (
+    <label className="flex items-center justify-between gap-2">
+      <span className="text-xs text-slate-500">{label}</span>
+      <input type="number" className="input !w-20" value={draft[k] ?? ""} onChange={(e) => set(k, e.target.value === "" ? null : Number(e.target.value))} />
+    </label>
+  );
+  function pickDate(date) {
+    setDraft({ ...blank(date), ...checkIns.find((c) => c.date === date) });
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <input type="date" className="input" value={draft.date} onChange={(e) => pickDate(e.target.value)} />
+      <div className="grid grid-cols-2 gap-2">
+        <Num label="Sleep (h)" value={draft.sleepHours} onChange={(v) => set("sleepHours", v)} />
+        <Num label="Sleep quality (1–5)" value={draft.sleepQuality} onChange={(v) => set("sleepQuality", v)} />
+        <Num label="Stress (1–5)" value={draft.stress} onChange={(v) => set("stress", v)} />
+        <Num label="Mood (1–5)" value={draft.mood} onChange={(v) => set("mood", v)} />
+        {optional("hrv", "HRV (ms)")}
+        {optional("restingHR", "Resting HR")}
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">BJJ Load</label>
+          <select className="input" value={draft.bjjLoad} onChange={(e) => set("bjjLoad", e.target.value)}>
+            <option>light</option>
+            <option>moderate</option>
+            <option>hard</option>
+          </select>
         </div>
       </div>
       <div>
-        <label className="block text-xs text-slate-500 mb-1">Equipment</label>
-        <div className="grid grid-cols-2 gap-2">
-          {Object.keys(p.equipment).map((k) => (
-            <label key={k} className="flex items-center gap-2">
-              <input type="checkbox" checked={p.equipment[k]} onChange={(e) => setP({ ...p, equipment: { ...p.equipment, [k]: e.target.checked } })} />
-              {k}
+        <div className="text-xs text-slate-500 mb-1">Soreness by region (0–5)</div>
+        <div className="grid grid-cols-4 gap-1">
+          {sorenessRegions.map((region) => (
+            <label key={region} className="text-xs text-slate-500">
+              {region}
+              <select className="input !py-1" value={draft.soreness?.[region] ?? 0} onChange={(e) => set("soreness", { ...draft.soreness, [region]: Number(e.target.value) })}>
+                {[0, 1, 2, 3, 4, 5].map((n) => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
             </label>
           ))}
         </div>
       </div>
-      <div>
-        <label className="block text-xs text-slate-500 mb-1">Injuries (quick)</label>
-        <InjuryEditor value={p.injuries} onChange={(inj) => setP({ ...p, injuries: inj })} />
-      </div>
+      <button className="px-3 py-2 rounded-xl bg-white border" disabled={!isISODate(draft.date)} onClick={() => onSave(draft)}>
+        Save Check-in
+      </button>
+      {r.checkIn && (
+        <div className={"text-xs " + (r.level === "low" ? "text-red-700" : r.level === "below" ? "text-amber-700" : "text-slate-600")}>
+          {r.date}: readiness {r.score ?? "–"} · {r.level}
+          {r.z != null ? ` (z ${formatZ(r.z)} vs own baseline)` : ` (baseline ${r.baselineDays}/${BASELINE_MIN_DAYS} days – using 1–5 ratings)`}
+          {r.z != null && (
+            <div className="text-slate-500">
+              {Object.entries(r.metrics)
+                .filter(([, m]) => m.z != null)
+                .map(([k, m]) => `${readinessMetrics[k].label} ${m.value}${readinessMetrics[k].unit || ""} (z ${formatZ(m.z)})`)
+                .join(" · ")}
+            </div>
+          )}
+          {r.sore.length > 0 && <div>Sore: {r.sore.join(", ")}</div>}
+        </div>
+      )}
+      {history.length > 1 && <LineChart points={history.map((h, i) => ({ x: i, y: h.score, label: h.date }))} yMin={0} yMax={100} />}
+      {recent.length > 0 && (
+        <ul className="text-xs text-slate-600 space-y-1">
+          {recent.map((c) => (
+            <li key={c.id} className="flex items-center justify-between">
+              <button className="underline" onClick={() => pickDate(c.date)}>{c.date}</button>
+              <span>
+                {c.sleepHours ?? "–"}h · stress {c.stress ?? "–"} · mood {c.mood ?? "–"}{c.hrv != null ? ` · HRV ${c.hrv}` : ""}
+                {c.workouts?.length ? ` · ${c.workouts.map((w) => `${w.activity || "workout"} ${w.minutes}′`).join(", ")}` : ""}
+              </span>
+              <button className="px-2 rounded border" onClick={() => onDelete(c.id)}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
-function InjuryEditor({ value, onChange }) {
-  const [list, setList] = useState(value || []);
-  useEffect(() => setList(value || []), [value]);
-  useEffect(() => onChange(list), [list]);
+// Pick a device export, map CSV columns if needed, review the per-day preview, then commit.
+function HealthImport({ athlete, onCommit }) {
+  const [file, setFile] = useState(null); // { name, kind: "apple" | "csv", records?, csv? }
+  const [mapping, setMapping] = useState({});
+  const [overwrite, setOverwrite] = useState(false);
+  const [error, setError] = useState("");
 
-  function add() {
-    setList((l) => [...l, { id: shortId(), area: "shoulder", aggravates: ["press"], severity: 2 }]);
-  }
-  function upd(i, patch) {
-    setList((l) => l.map((x, idx) => (idx === i ? { ...x, ...patch } : x)));
+  async function pick(f) {
+    setError("");
+    setFile(null);
+    try {
+      const text = await f.text();
+      if (/\.xml$/i.test(f.name) || /^\s*<\?xml|<HealthData/.test(text.slice(0, 2000))) {
+        setFile({ name: f.name, kind: "apple", records: parseAppleHealthXML(text) });
+      } else {
+        const csv = parseCSV(text);
+        if (!csv.headers.length) throw new Error("Empty file");
+        setMapping(guessCSVMapping(csv.headers));
+        setFile({ name: f.name, kind: "csv", csv });
+      }
+    } catch (e) {
+      setError(e.message);
+    }
   }
-  function del(i) {
-    setList((l) => l.filter((_, idx) => idx !== i));
+
+  let plan = null;
+  try {
+    const records = file?.kind === "csv" ? csvRecords(file.csv, mapping) : file?.records;
+    if (records) plan = healthImportPlan(athlete, records, { overwrite, source: file.kind === "apple" ? "apple_health" : "csv" });
+  } catch (e) {
+    if (!error) plan = { error: e.message };
   }
+  const { counts } = plan?.lines ? plan : {};
 
   return (
-    <div className="space-y-2">
-      {list.length === 0 && <p className="text-xs text-slate-500">No injuries added.</p>}
-      {list.map((it, i) => (
-        <div key={it.id} className="bg-slate-50 border rounded-xl p-2 flex flex-wrap items-center gap-2">
-          <select className="input !w-32" value={it.area} onChange={(e) => upd(i, { area: e.target.value })}>
-            <option>shoulder</option>
-            <option>knee</option>
-            <option>hip</option>
-            <option>back</option>
-            <option>wrist</option>
-            <option>ankle</option>
-          </select>
-          <input className="input" placeholder="Aggravates (comma)" value={it.aggravates?.join(", ")}
-                 onChange={(e) => upd(i, { aggravates: e.target.value.split(",").map((s) => s.trim()) })} />
-          <label className="flex items-center gap-2">Severity
-            <input type="number" className="input !w-16" min={1} max={5} value={it.severity}
-                   onChange={(e) => upd(i, { severity: Number(e.target.value) })} />
-          </label>
-          <button className="px-2 py-1 rounded-lg border" onClick={() => del(i)}>Delete</button>
+    <div className="space-y-2 text-sm">
+      <input type="file" accept=".xml,.csv,text/csv,text/xml" className="text-xs"
+             onChange={(e) => {
+               if (e.target.files[0]) pick(e.target.files[0]);
+               e.target.value = "";
+             }} />
+      <p className="text-xs text-slate-500">Apple Health export.xml, Garmin Connect CSV or any CSV. Files are read on this device only.</p>
+      {error && <div className="text-xs text-red-700">⚠️ {error}</div>}
+      {file?.kind === "csv" && (
+        <div className="grid grid-cols-2 gap-1">
+          {Object.entries(csvFields).map(([field, { label }]) => (
+            <label key={field} className="text-xs text-slate-500">
+              {label}
+              <select className="input !py-1" value={mapping[field] || ""} onChange={(e) => setMapping((m) => ({ ...m, [field]: e.target.value }))}>
+                <option value="">—</option>
+                {file.csv.headers.map((h) => (
+                  <option key={h}>{h}</option>
+                ))}
+              </select>
+            </label>
+          ))}
         </div>
-      ))}
-      <button className="px-3 py-2 rounded-xl bg-white border" onClick={add}>Add Injury</button>
+      )}
+      {plan?.error && <div className="text-xs text-amber-700">{plan.error}</div>}
+      {counts && (
+        <>
+          <div className="text-xs text-slate-600">
+            {file.name}: {counts.days} day(s) · {counts.added} new check-in(s) · {counts.filled} value(s) filled · {counts.same} already there
+            {counts.conflicts ? ` · ${counts.conflicts} conflict(s)` : ""} · {counts.mat} BJJ session(s){counts.matDuplicates ? ` (+${counts.matDuplicates} duplicate)` : ""}
+            {counts.workouts ? ` · ${counts.workouts} other workout(s)` : ""}
+          </div>
+          <ul className="max-h-40 overflow-auto text-xs space-y-0.5 bg-slate-50 border rounded-xl p-2">
+            {plan.lines.slice(-30).map((l) => (
+              <li key={l.date} className={l.status === "conflict" ? "text-amber-700" : l.status === "skip" ? "text-slate-400" : ""}>
+                {l.date} · {l.status} · {l.text}
+              </li>
+            ))}
+          </ul>
+          <label className="flex items-center gap-2 text-xs text-slate-500">
+            <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} /> Overwrite values that differ
+          </label>
+          <div className="flex gap-2">
+            <button className="px-3 py-2 rounded-xl bg-slate-900 text-white disabled:opacity-50" disabled={!plan.checkIns.length && !plan.matLogs.length}
+                    onClick={() => { onCommit(plan); setFile(null); }}>
+              Import
+            </button>
+            <button className="px-3 py-2 rounded-xl bg-white border" onClick={() => setFile(null)}>Cancel</button>
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-function Readiness({ value, onChange }) {
-  const [r, setR] = useState(value);
-  useEffect(() => setR(value), [value]);
-  useEffect(() => onChange(r), [r]);
+function MatLog({ logs, load, onAdd, onDelete }) {
+  const [draft, setDraft] = useState({ date: new Date().toISOString().slice(0, 10), minutes: 60, type: "positional", srpe: matTypes.positional.srpe });
+  const recent = [...logs].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 5);
   return (
-    <div className="grid grid-cols-2 gap-2 text-sm">
-      <Num label="Sleep (1–10)" value={r.sleep} onChange={(v) => setR({ ...r, sleep: v })} />
-      <Num label="Soreness (1–5)" value={r.soreness} onChange={(v) => setR({ ...r, soreness: v })} />
-      <Num label="Stress (1–5)" value={r.stress} onChange={(v) => setR({ ...r, stress: v })} />
-      <div>
-        <label className="block text-xs text-slate-500 mb-1">BJJ Load</label>
-        <select className="input" value={r.bjjLoad} onChange={(e) => setR({ ...r, bjjLoad: e.target.value })}>
-          <option>light</option>
-          <option>moderate</option>
-          <option>hard</option>
+    <div className="space-y-2 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <input type="date" className="input" value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} />
+        <select className="input" value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value, srpe: matTypes[e.target.value].srpe })}>
+          {Object.entries(matTypes).map(([id, t]) => (
+            <option key={id} value={id}>{t.label}</option>
+          ))}
         </select>
+        <Num label="Minutes" value={draft.minutes} onChange={(v) => setDraft({ ...draft, minutes: v })} />
+        <Num label="sRPE (1–10)" value={draft.srpe} onChange={(v) => setDraft({ ...draft, srpe: v })} />
+      </div>
+      <button className="px-3 py-2 rounded-xl bg-white border" disabled={!isISODate(draft.date) || !(draft.minutes > 0)} onClick={() => onAdd(draft)}>
+        Log Mat Session
+      </button>
+      {recent.length > 0 && (
+        <ul className="text-xs text-slate-600 space-y-1">
+          {recent.map((l) => (
+            <li key={l.id} className="flex items-center justify-between">
+              <span>{l.date} · {matTypes[l.type]?.label || l.type} · {l.minutes} min @{l.srpe} = {matLoad(l)} AU</span>
+              <button className="px-2 rounded border" onClick={() => onDelete(l.id)}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className={"text-xs " + (load.level === "high" ? "text-red-700" : load.level ? "text-amber-700" : "text-slate-500")}>
+        7-day {load.acute} AU · 28-day avg {load.chronic} AU/wk · ACWR {load.acwr ?? "–"} · monotony {load.monotony ?? "–"} · strain {load.strain ?? "–"} · mat {load.matShare}%
+        {load.acwr == null && " (ACWR needs 3 weeks of logs)"}
       </div>
     </div>
   );
 }
 
+// Heart-rate zones and the last few logged conditioning pieces.
+function ConditioningPanel({ athlete }) {
+  const zones = heartRateZones(athlete.profile, athlete.checkIns);
+  const pieces = athlete.sessionLogs.filter((l) => l.conditioning).slice(-6).reverse();
+  return (
+    <div className="space-y-2 text-sm">
+      {zones ? (
+        <>
+          <div className="text-xs text-slate-500">
+            Max HR {zones.maxHR} ({zones.maxSource}){zones.restingHR ? ` · resting ${zones.restingHR}` : ""} · {zones.method}
+          </div>
+          <table className="w-full text-xs">
+            <tbody>
+              {zones.zones.map((z) => (
+                <tr key={z.zone} className="border-t">
+                  <td className="py-1 font-medium">Z{z.zone} {z.label}</td>
+                  <td>{z.lo}–{z.hi} bpm</td>
+                  <td className="text-slate-500">{z.feel}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ) : (
+        <div className="text-slate-500">Add age or max HR in Onboarding to get heart-rate zones; until then pieces are prescribed by feel.</div>
+      )}
+      {pieces.length > 0 && (
+        <ul className="text-xs text-slate-600 space-y-1">
+          {pieces.map((l) => {
+            const c = l.conditioning;
+            return (
+              <li key={l.id}>
+                {l.date} · {c.title.split(":")[0]} · {c.minutes} min{c.avgHR ? ` · avg ${c.avgHR} bpm${c.zone ? ` (Z${c.zone})` : ""}` : ""}{c.srpe ? ` @${c.srpe} = ${c.minutes * c.srpe} AU` : ""}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
 function Num({ label, value, onChange }) {
   return (
     <label className="flex items-center justify-between gap-2">
@@ -536,24 +4843,56 @@ function Num({ label, value, onChange }) {
   );
 }
 
-function SessionCard({ session, onLog }) {
+// `today` is the applyDayReadiness result when the session is on today's date; the card shows and
+// logs the adjusted version, while edits start from the plan.
+function SessionCard({ session: planned, today, setup, onLog, logged, missed, closedDays, onMissed, onMove, onEdit, templateOptions, onLoadTemplate, onSaveTemplate, onDeleteTemplate, variants, onSwapBlock, onDislikeBlock }) {
   const [open, setOpen] = useState(false);
-  const [log, setLog] = useState({ completed: [], painFlag: 0, notes: "" });
+  const [editing, setEditing] = useState(false);
+  const session = today?.session || planned;
 
-  useEffect(() => {
-    setLog({ completed: session.blocks.map((b) => ({ move: b.move, sets: 0, reps: 0, rpe: 7, lastLoad: 0 })), painFlag: 0, notes: "" });
-  }, [session.id]);
+  if (editing)
+    return (
+      <SessionEditor session={planned} unit={setup.units} templateOptions={templateOptions} onLoadTemplate={onLoadTemplate}
+                     onSaveTemplate={onSaveTemplate} onDeleteTemplate={onDeleteTemplate}
+                     onSave={(draft) => { onEdit(draft); setEditing(false); }} onCancel={() => setEditing(false)} />
+    );
 
   return (
     <div className="border rounded-2xl p-4">
       <div className="flex items-start justify-between">
         <div>
-          <div className="text-xs text-slate-500">{session.day}</div>
+          <div className="text-xs text-slate-500">{session.day} · ~{sessionMinutes(session)} min</div>
           <h3 className="font-semibold text-lg">{session.title}</h3>
+          {session.budgetNote && <div className="text-xs text-slate-500">{session.budgetNote}</div>}
+          {session.scheduleNote && <div className="text-xs text-slate-500">📅 {session.scheduleNote}</div>}
+          {today?.notes.map((n, i) => (
+            <div key={i} className="text-xs text-sky-700">🩺 {n}</div>
+          ))}
+          {session.edited && (
+            <div className="text-xs text-amber-700">
+              ✏️ Edited – kept when the week is regenerated.{" "}
+              <button className="underline" onClick={() => onEdit({ ...planned, edited: null })}>Unlock</button>
+            </div>
+          )}
+        </div>
+        <div className="flex items-center gap-1">
+          {missed && <span className="text-xs text-red-700 mr-1">❌ Missed</span>}
+          {!logged && !missed && (
+            <>
+              <select className="input !w-24 !py-1" value="" onChange={(e) => e.target.value && onMove(e.target.value)}>
+                <option value="">Move…</option>
+                {weekdays.filter((d) => d !== session.day && !closedDays.includes(d)).map((d) => (
+                  <option key={d} value={d}>{d}</option>
+                ))}
+              </select>
+              <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={onMissed}>Missed</button>
+              <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => setEditing(true)}>Edit</button>
+            </>
+          )}
+          <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => setOpen((o) => !o)}>
+            {open ? "Hide" : "Details"}
+          </button>
         </div>
-        <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => setOpen((o) => !o)}>
-          {open ? "Hide" : "Details"}
-        </button>
       </div>
 
       {open && (
@@ -571,55 +4910,591 @@ function SessionCard({ session, onLog }) {
             <div className="space-y-2">
               {session.blocks.map((b, i) => (
                 <div key={i} className="bg-slate-50 rounded-xl p-2 text-sm">
-                  <div className="font-medium">
-                    {b.move}
-                    {b.alt && <span className="ml-2 text-xs text-slate-500">(Alt: {b.alt})</span>}
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="font-medium">
+                      {b.superset && <span className="mr-2 text-xs font-semibold text-slate-500">{b.superset}</span>}
+                      {b.circuit && <span className="mr-2 text-xs font-semibold text-slate-500">Circuit {b.circuit}</span>}
+                      {b.move}
+                      {b.alt && <span className="ml-2 text-xs text-slate-500">(Alt: {b.alt})</span>}
+                    </div>
+                    {!logged && !missed && exerciseLibrary[b.move] && b.pattern !== "rehab" && (
+                      <div className="flex items-center gap-1">
+                        <select className="input !w-28 !py-0.5 text-xs" value="" onChange={(e) => e.target.value && onSwapBlock(i, e.target.value)}>
+                          <option value="">Swap…</option>
+                          {variants(b.move).map((v) => (
+                            <option key={v.move} value={v.move}>{v.move}</option>
+                          ))}
+                        </select>
+                        <button className="px-2 py-0.5 rounded-lg border bg-white" title="Don't programme this again" onClick={() => onDislikeBlock(i)}>👎</button>
+                      </div>
+                    )}
                   </div>
-                  <div className="text-xs text-slate-500">{b.scheme}{b.loadSuggestion ? ` · Start ~${b.loadSuggestion} lb` : ""}</div>
+                  {b.loadNote && <div className="text-xs text-slate-500">{b.loadNote}</div>}
+                  {b.note && <div className="text-xs text-amber-700">{b.note}</div>}
+                  <div className="text-xs text-slate-500">{b.scheme}{b.loadSuggestion ? ` · ${loadLabel(b.loadSuggestion, b.move, setup)}` : ""} · ~{blockMinutes(b)} min</div>
                 </div>
               ))}
             </div>
           </div>
+          {session.removed?.length > 0 && (
+            <div>
+              <div className="text-xs text-slate-500">Removed</div>
+              <ul className="list-disc pl-5 text-xs text-amber-700">
+                {session.removed.map((r, i) => (
+                  <li key={i}>{r.move}: {r.reason}</li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div>
-            <div className="text-xs text-slate-500">Finisher</div>
+            <div className="text-xs text-slate-500">{session.conditioning ? "Conditioning" : "Finisher"}</div>
             <div className="text-sm">{session.finisher}</div>
+            {session.conditioning && (
+              <div className="text-xs text-slate-500">
+                {session.conditioning.detail}
+                {session.conditioning.note && <span className="text-amber-700"> · {session.conditioning.note}</span>}
+              </div>
+            )}
           </div>
           <div>
             <div className="text-xs text-slate-500">Cues</div>
             <div className="text-sm">{session.cues.join(" · ")}</div>
           </div>
 
-          {/* Log Form */}
-          <div className="mt-4 border-t pt-3">
-            <div className="text-sm font-semibold mb-2">Log Session</div>
-            <div className="space-y-2">
-              {log.completed.map((c, idx) => (
-                <div key={idx} className="grid grid-cols-6 gap-2 items-center text-sm">
-                  <div className="col-span-2 truncate">{c.move}</div>
-                  <input className="input" placeholder="Sets" type="number" value={c.sets} onChange={(e) => updateCompleted(idx, { sets: Number(e.target.value) })} />
-                  <input className="input" placeholder="Reps" type="number" value={c.reps} onChange={(e) => updateCompleted(idx, { reps: Number(e.target.value) })} />
-                  <input className="input" placeholder="Top Set Load (lb)" type="number" value={c.lastLoad}
-                         onChange={(e) => updateCompleted(idx, { lastLoad: Number(e.target.value) })} />
-                  <input className="input" placeholder="Avg RPE" type="number" value={c.rpe} onChange={(e) => updateCompleted(idx, { rpe: Number(e.target.value) })} />
+          <WorkoutLog session={session} setup={setup} onLog={onLog} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Edit a session in place: reorder, add, remove or replace blocks, adjust prescriptions, change day,
+// or start from a template. Saving marks the session as edited so regeneration leaves it alone.
+function SessionEditor({ session, unit, templateOptions, onLoadTemplate, onSave, onSaveTemplate, onDeleteTemplate, onCancel }) {
+  const [draft, setDraft] = useState(session);
+  const [addMove, setAddMove] = useState("");
+  const [tmplKey, setTmplKey] = useState("");
+  const [tmplName, setTmplName] = useState("");
+  const moves = Object.keys(exerciseLibrary).sort();
+  const tmpl = templateOptions.find((t) => t.key === tmplKey);
+
+  // Reordering and adding/removing blocks breaks superset pairs, so those labels are dropped.
+  const setBlocks = (blocks) => setDraft((d) => ({ ...d, blocks: blocks.map((b) => omit(b, "superset")) }));
+  const patchBlock = (i, fn) => setDraft((d) => ({ ...d, blocks: d.blocks.map((b, j) => (j === i ? fn(b) : b)) }));
+  function shift(i, by) {
+    const blocks = [...draft.blocks];
+    [blocks[i], blocks[i + by]] = [blocks[i + by], blocks[i]];
+    setBlocks(blocks);
+  }
+  function replace(i, move) {
+    patchBlock(i, (b) => ({ ...b, move, pattern: exerciseLibrary[move]?.pattern || null, alt: null, swappedFrom: null, note: null, loadSuggestion: null, loadNote: null }));
+  }
+  function add() {
+    if (!addMove) return;
+    setBlocks([...draft.blocks, { move: addMove, scheme: "3x8", targetRPE: 7, slots: 3, pattern: exerciseLibrary[addMove]?.pattern || null }]);
+    setAddMove("");
+  }
+  function loadTemplate() {
+    const t = tmplKey && onLoadTemplate(tmplKey, draft.day);
+    if (!t) return;
+    setDraft((d) => ({ ...d, title: t.title, warmup: t.warmup, blocks: t.blocks, finisher: t.finisher, conditioning: t.conditioning || null, cues: t.cues?.length ? t.cues : d.cues, removed: t.removed || null }));
+  }
+
+  return (
+    <div className="border rounded-2xl p-4 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="input !w-20" value={draft.day} onChange={(e) => setDraft((d) => ({ ...d, day: e.target.value }))}>
+          {weekdays.map((d) => (
+            <option key={d}>{d}</option>
+          ))}
+        </select>
+        <input className="input flex-1" value={draft.title} onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))} />
+        <span className="text-xs text-slate-500">~{sessionMinutes(draft)} min</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="input !w-56" value={tmplKey} onChange={(e) => setTmplKey(e.target.value)}>
+          <option value="">Start from template…</option>
+          {templateOptions.map((t) => (
+            <option key={t.key} value={t.key}>{t.label}</option>
+          ))}
+        </select>
+        <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-50" disabled={!tmplKey} onClick={loadTemplate}>Load</button>
+        {tmpl?.custom && (
+          <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => { onDeleteTemplate(tmplKey); setTmplKey(""); }}>Delete template</button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {draft.blocks.map((b, i) => (
+          <div key={i} className="bg-slate-50 rounded-xl p-2 space-y-1">
+            <div className="flex items-center gap-1">
+              <select className="input flex-1" value={b.move} onChange={(e) => replace(i, e.target.value)}>
+                {!exerciseLibrary[b.move] && <option>{b.move}</option>}
+                {moves.map((m) => (
+                  <option key={m}>{m}</option>
+                ))}
+              </select>
+              <button className="px-2 py-1 rounded-lg border disabled:opacity-30" disabled={i === 0} onClick={() => shift(i, -1)} title="Move up">↑</button>
+              <button className="px-2 py-1 rounded-lg border disabled:opacity-30" disabled={i === draft.blocks.length - 1} onClick={() => shift(i, 1)} title="Move down">↓</button>
+              <button className="px-2 py-1 rounded-lg border disabled:opacity-30" disabled={draft.blocks.length === 1} onClick={() => setBlocks(draft.blocks.filter((_, j) => j !== i))} title="Delete block">✕</button>
+            </div>
+            <div className="grid grid-cols-4 gap-1 text-xs text-slate-500">
+              <label>Scheme<input className="input" value={b.scheme} onChange={(e) => patchBlock(i, (x) => ({ ...x, scheme: e.target.value }))} /></label>
+              <label>Sets<input type="number" min={1} max={20} className="input" value={b.slots} onChange={(e) => patchBlock(i, (x) => withSets(x, Math.min(20, Math.max(1, Math.round(Number(e.target.value)) || 1))))} /></label>
+              <label>RPE<input type="number" min={1} max={10} step={0.5} className="input" value={b.targetRPE} onChange={(e) => patchBlock(i, (x) => ({ ...x, targetRPE: Math.min(10, Math.max(1, Number(e.target.value) || 1)) }))} /></label>
+              <label>Load ({unit})<input type="number" min={0} className="input" value={toDisplay(b.loadSuggestion, unit) ?? ""} onChange={(e) => patchBlock(i, (x) => ({ ...x, loadSuggestion: e.target.value === "" ? null : fromDisplay(Math.max(0, Number(e.target.value) || 0), unit), loadNote: null }))} /></label>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select className="input flex-1" value={addMove} onChange={(e) => setAddMove(e.target.value)}>
+          <option value="">Add exercise…</option>
+          {moves.map((m) => (
+            <option key={m}>{m}</option>
+          ))}
+        </select>
+        <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200 disabled:opacity-50" disabled={!addMove} onClick={add}>Add</button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button className="px-3 py-2 rounded-xl bg-slate-900 text-white" onClick={() => onSave({ ...draft, edited: true })}>Save</button>
+        <button className="px-3 py-2 rounded-xl bg-white border" onClick={onCancel}>Cancel</button>
+        <input className="input !w-40" placeholder="Template name" value={tmplName} onChange={(e) => setTmplName(e.target.value)} />
+        <button className="px-3 py-2 rounded-xl bg-white border" onClick={() => { onSaveTemplate(draft, tmplName.trim()); setTmplName(""); }}>Save as template</button>
+      </div>
+    </div>
+  );
+}
+
+// Live workout mode: one row per set, pre-filled with targets, rest timer after each completed set.
+// Set rows hold loads in the athlete's units while editing; they're converted back to lb on save.
+function WorkoutLog({ session, setup, onLog }) {
+  const unit = setup?.units === "kg" ? "kg" : "lb";
+  const convert = (rows, fn) => rows.map((x) => ({ ...x, load: fn(x.load, unit), targetLoad: x.targetLoad == null ? null : fn(x.targetLoad, unit) }));
+  const [active, setActive] = useState(false);
+  const [startedAt, setStartedAt] = useState(null);
+  const [blocks, setBlocks] = useState([]);
+  const [painFlag, setPainFlag] = useState(0);
+  const [notes, setNotes] = useState("");
+  const [rest, setRest] = useState(null); // { label, left }
+  const [cond, setCond] = useState(null); // { minutes, avgHR, srpe } for the session's conditioning piece
+  // The session as it stood at Start: rows are seeded from it and the log is kept against it, so a
+  // swap or edit mid-workout can't pair old rows with new moves.
+  const [shown, setShown] = useState(null);
+  const pieceOf = (s) => s.conditioning || (finisherMinutes(s.finisher) > 0 ? { title: s.finisher, minutes: finisherMinutes(s.finisher) } : null);
+  const piece = shown && pieceOf(shown);
+
+  useEffect(() => {
+    if (!rest) return;
+    const t = setInterval(() => setRest((r) => (r && r.left > 1 ? { ...r, left: r.left - 1 } : null)), 1000);
+    return () => clearInterval(t);
+  }, [rest != null]);
+
+  function start() {
+    const p = pieceOf(session);
+    setShown(session);
+    setBlocks(session.blocks.map((b) => convert(expandSets(b, setup), toDisplay)));
+    setCond(p ? { minutes: p.minutes, avgHR: "", srpe: "", done: false } : null);
+    setRest(null);
+    setActive(true);
+    setStartedAt(Date.now());
+  }
+  function updSet(bi, si, patch) {
+    setBlocks((bs) => bs.map((sets, i) => (i === bi ? sets.map((x, j) => (j === si ? { ...x, ...patch } : x)) : sets)));
+  }
+  function completeSet(bi, si) {
+    const b = shown.blocks[bi];
+    updSet(bi, si, { status: "done" });
+    // Supersets rest after the second exercise; everything else after each set.
+    if (!b.superset?.endsWith("1")) setRest({ label: b.move, left: b.restSec ?? defaultRestSec(b) });
+  }
+  function addSet(bi) {
+    setBlocks((bs) => bs.map((sets, i) => (i === bi ? [...sets, { ...sets[sets.length - 1], kind: "added", status: "pending" }] : sets)));
+  }
+  function save() {
+    const completed = blocks.map((sets, i) => summarizeSets(shown.blocks[i].move, i, convert(sets, fromDisplay)));
+    const durationMin = startedAt ? Math.round((Date.now() - startedAt) / 60000) : null;
+    const conditioning = cond?.done
+      ? { kind: piece.kind || null, title: piece.title, minutes: Number(cond.minutes) || 0, avgHR: Number(cond.avgHR) || null, srpe: Number(cond.srpe) || null }
+      : null;
+    onLog({ completed, painFlag, notes, durationMin, conditioning });
+    setActive(false);
+    setRest(null);
+  }
+
+  if (!active) {
+    return (
+      <div className="mt-4 border-t pt-3">
+        <button className="px-3 py-2 rounded-xl bg-slate-900 text-white" onClick={start}>Start Workout</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 border-t pt-3">
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-semibold">Log Session</div>
+        {rest && (
+          <div className="flex items-center gap-2 text-sm bg-slate-900 text-white rounded-xl px-3 py-1">
+            Rest {formatClock(rest.left)}
+            <button className="text-xs underline" onClick={() => setRest(null)}>Skip</button>
+          </div>
+        )}
+      </div>
+      <div className="space-y-3">
+        {blocks.map((sets, bi) => (
+          <div key={bi}>
+            <div className="text-sm font-medium">{shown.blocks[bi].move}</div>
+            <div className="space-y-1">
+              {sets.map((x, si) => (
+                <div key={si} className={"grid grid-cols-6 gap-2 items-center text-sm " + (x.status === "skipped" ? "opacity-40" : "")}>
+                  <div className="text-xs text-slate-500">
+                    {si + 1}. {x.kind}{x.targetLoad ? ` · ${x.targetLoad}` : ""}{x.targetReps ? `×${x.targetReps}` : ""} @{x.targetRPE}
+                  </div>
+                  <input className="input" placeholder={`Load (${unit})`} type="number" value={x.load} onChange={(e) => updSet(bi, si, { load: Number(e.target.value) })} />
+                  <input className="input" placeholder="Reps" type="number" value={x.reps} onChange={(e) => updSet(bi, si, { reps: Number(e.target.value) })} />
+                  <input className="input" placeholder="RPE" type="number" value={x.rpe} onChange={(e) => updSet(bi, si, { rpe: Number(e.target.value) })} />
+                  <button className={"px-2 py-1 rounded-lg border " + (x.status === "done" ? "bg-slate-900 text-white" : "")}
+                          onClick={() => (x.status === "done" ? updSet(bi, si, { status: "pending" }) : completeSet(bi, si))}>
+                    {x.status === "done" ? "Done ✓" : "Done"}
+                  </button>
+                  <button className="px-2 py-1 rounded-lg border" onClick={() => updSet(bi, si, { status: x.status === "skipped" ? "pending" : "skipped" })}>
+                    {x.status === "skipped" ? "Unskip" : "Skip"}
+                  </button>
                 </div>
               ))}
-              <div className="flex flex-wrap items-center gap-2">
-                <label className="flex items-center gap-2 text-sm">Pain Flag (0–5)
-                  <input className="input !w-20" type="number" min={0} max={5} value={log.painFlag} onChange={(e) => setLog({ ...log, painFlag: Number(e.target.value) })} />
-                </label>
-                <input className="input flex-1" placeholder="Notes" value={log.notes} onChange={(e) => setLog({ ...log, notes: e.target.value })} />
-                <button className="px-3 py-2 rounded-xl bg-slate-900 text-white" onClick={() => onLog({ ...log })}>Save Log</button>
-              </div>
             </div>
+            <button className="mt-1 text-xs underline" onClick={() => addSet(bi)}>+ Add set</button>
           </div>
+        ))}
+        {cond && (
+          <div>
+            <div className="text-sm font-medium">Conditioning · {piece.title}</div>
+            <div className={"grid grid-cols-4 gap-2 items-center text-sm " + (cond.done ? "" : "opacity-60")}>
+              <input className="input" placeholder="Minutes" type="number" value={cond.minutes} onChange={(e) => setCond({ ...cond, minutes: e.target.value })} />
+              <input className="input" placeholder="Avg HR" type="number" value={cond.avgHR} onChange={(e) => setCond({ ...cond, avgHR: e.target.value })} />
+              <input className="input" placeholder="sRPE (0–10)" type="number" min={0} max={10} value={cond.srpe} onChange={(e) => setCond({ ...cond, srpe: e.target.value })} />
+              <button className={"px-2 py-1 rounded-lg border " + (cond.done ? "bg-slate-900 text-white" : "")} onClick={() => setCond({ ...cond, done: !cond.done })}>
+                {cond.done ? "Done ✓" : "Done"}
+              </button>
+            </div>
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-2 text-sm">Pain Flag (0–5)
+            <input className="input !w-20" type="number" min={0} max={5} value={painFlag} onChange={(e) => setPainFlag(Number(e.target.value))} />
+          </label>
+          <input className="input flex-1" placeholder="Notes" value={notes} onChange={(e) => setNotes(e.target.value)} />
+          <button className="px-3 py-2 rounded-xl bg-slate-900 text-white" onClick={save}>Save Log</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// What the generator has learned about an athlete's likes and dislikes; the coach can reset any of it.
+function PreferencesPanel({ learned, barbellBias, onBarbellBias, onReset }) {
+  const rows = Object.entries(learned).sort(([, a], [, b]) => Number(b.disliked) - Number(a.disliked) || a.score - b.score);
+  return (
+    <div className="space-y-3 text-sm">
+      <label className="flex items-center gap-2">
+        <input type="checkbox" checked={barbellBias} onChange={(e) => onBarbellBias(e.target.checked)} />
+        Favour barbell lifts (off: dumbbell/kettlebell variants win when equipment allows)
+      </label>
+      {rows.length === 0 ? (
+        <div className="text-slate-500">Nothing learned yet. Thumbs-downs, swaps, skipped exercises and repeated pain show up here.</div>
+      ) : (
+        <div className="space-y-1">
+          {rows.map(([move, p]) => (
+            <div key={move} className="flex items-center justify-between gap-2 bg-slate-50 rounded-xl px-2 py-1">
+              <div>
+                <div className="font-medium">
+                  {p.disliked ? "👎 " : p.score > 0 ? "👍 " : ""}{move}
+                  <span className={"ml-2 text-xs " + (p.score < 0 ? "text-red-700" : "text-green-700")}>{p.score > 0 ? `+${p.score}` : p.score}</span>
+                </div>
+                <div className="text-xs text-slate-500">{p.reasons.join(" · ")}</div>
+              </div>
+              <button className="text-xs underline" onClick={() => onReset(move)}>Reset</button>
+            </div>
+          ))}
+          <button className="px-3 py-1 rounded-xl bg-slate-100 hover:bg-slate-200" onClick={() => onReset(null)}>Reset all</button>
         </div>
       )}
     </div>
   );
+}
+
+// Weekly check-in: written by the configured provider, read here, sent to the athlete as Markdown or HTML.
+function WeeklyReport({ athlete, onGenerate }) {
+  const weeks = [...new Set([athlete.weekIndex, ...athlete.sessionLogs.map((l) => l.weekIndex), ...athlete.planArchive.map((v) => v.weekIndex)])]
+    .filter(Number.isInteger)
+    .sort((a, b) => b - a);
+  const [week, setWeek] = useState(athlete.weekIndex);
+  const [busy, setBusy] = useState(false);
+  const entry = athlete.reports.find((r) => r.weekIndex === week);
+  const report = entry?.report;
+  const file = `${athleteName(athlete).replace(/\W+/g, "-")}-week-${week}`;
+  const list = (lines) => (
+    <ul className="list-disc pl-5">
+      {lines.map((l, i) => (
+        <li key={i}>{l}</li>
+      ))}
+    </ul>
+  );
 
-  function updateCompleted(i, patch) {
-    setLog((l) => ({ ...l, completed: l.completed.map((c, idx) => (idx === i ? { ...c, ...patch } : c)) }));
+  async function generate() {
+    setBusy(true);
+    try {
+      await onGenerate(week);
+    } finally {
+      setBusy(false);
+    }
   }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className="input !w-32" value={week} onChange={(e) => setWeek(Number(e.target.value))}>
+          {weeks.map((w) => (
+            <option key={w} value={w}>Week {w}</option>
+          ))}
+        </select>
+        <button className="px-3 py-2 rounded-xl bg-slate-900 text-white disabled:opacity-50" disabled={busy} onClick={generate}>
+          {busy ? "Writing…" : entry ? "Regenerate" : "Generate Report"}
+        </button>
+        {report && (
+          <>
+            <button className="px-3 py-2 rounded-xl bg-white border" onClick={() => downloadFile(`${file}.md`, reportMarkdown(report), "text/markdown")}>Markdown</button>
+            <button className="px-3 py-2 rounded-xl bg-white border" onClick={() => downloadFile(`${file}.html`, reportHTML(report), "text/html")}>HTML</button>
+          </>
+        )}
+      </div>
+      {!report ? (
+        <div className="text-slate-500">No report for week {week} yet.</div>
+      ) : (
+        <div className="space-y-2">
+          <div className="text-xs text-slate-500">
+            Written {entry.date} by {aiProviders[entry.source]?.label || entry.source}
+            {entry.fallbackReason && <span className="text-amber-700"> ({entry.fallbackReason})</span>}
+          </div>
+          <h3 className="font-semibold">{report.title}</h3>
+          <p>{report.summary}</p>
+          {report.sections.map((s, i) => (
+            <div key={i}>
+              <div className="text-xs text-slate-500">{s.heading}</div>
+              {list(s.lines)}
+            </div>
+          ))}
+          <div>
+            <div className="text-xs text-slate-500">Next week</div>
+            {list(report.recommendations)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Archived weeks: pick a week and version, see what the generator was given and planned vs actual per block.
+function PlanHistory({ athlete }) {
+  const weeks = [...new Set(athlete.planArchive.map((v) => v.weekIndex))].sort((a, b) => b - a);
+  const [week, setWeek] = useState(weeks[0] ?? null);
+  const current = weeks.includes(week) ? week : weeks[0];
+  const versions = athlete.planArchive.filter((v) => v.weekIndex === current);
+  const [versionId, setVersionId] = useState(null);
+  const version = versions.find((v) => v.id === versionId) || versions[versions.length - 1];
+  if (!version) return <p className="text-slate-600 text-sm">Generated plans are archived here week by week.</p>;
+  const unit = athleteUnits(athlete.profile);
+  const inputs = version.inputs || versions.find((v) => v.inputs)?.inputs;
+  const fmt = (t) => (t ? `${t.sets ?? "–"}×${t.reps ?? "–"}${t.load ? ` · ${formatLoad(t.load, unit)}` : ""}${t.rpe != null ? ` @${t.rpe}` : ""}` : "—");
+  const sign = (v, suffix = "") => (v == null || v === 0 ? "" : `${v > 0 ? "+" : "−"}${Math.abs(v)}${suffix}`);
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap gap-2">
+        <select className="input !w-28" value={current} onChange={(e) => { setWeek(Number(e.target.value)); setVersionId(null); }}>
+          {weeks.map((w) => (
+            <option key={w} value={w}>Week {w}</option>
+          ))}
+        </select>
+        <select className="input flex-1" value={version.id} onChange={(e) => setVersionId(e.target.value)}>
+          {versions.map((v, i) => (
+            <option key={v.id} value={v.id}>v{i + 1} · {v.reason}{v.source ? ` (${v.source})` : ""} · {v.at.slice(0, 16).replace("T", " ")}</option>
+          ))}
+        </select>
+      </div>
+      {inputs && (
+        <div className="text-xs text-slate-500">
+          Inputs: {inputs.phase} · week {inputs.weekIndex}
+          {inputs.readiness ? ` · readiness ${inputs.readiness.level}${inputs.readiness.z != null ? ` (z ${formatZ(inputs.readiness.z)})` : ""}` : " · no check-in"}
+          {inputs.constraints?.injuries?.length ? ` · injuries: ${inputs.constraints.injuries.map((i) => `${i.area} ${i.severity}/5`).join(", ")}` : ""}
+          {inputs.periodization?.deloadReason ? ` · deload: ${inputs.periodization.deloadReason}` : ""}
+          {inputs.peaking ? ` · ${inputs.peaking.phase} for ${inputs.peaking.comp}` : ""}
+          {inputs.trainingLoad?.level ? ` · load ${inputs.trainingLoad.level} (ACWR ${inputs.trainingLoad.acwr})` : ""}
+          {inputs.locked?.length ? ` · kept edits: ${inputs.locked.join(", ")}` : ""}
+          {inputs.dislikes?.length ? ` · avoiding: ${inputs.dislikes.join(", ")}` : ""}
+        </div>
+      )}
+      {plannedVsActual(athlete, version).map(({ session, log, missed, rows }) => (
+        <div key={session.id} className="border rounded-xl p-2">
+          <div className="flex justify-between text-xs">
+            <span className="font-medium">{session.day} · {session.title}</span>
+            <span className={missed ? "text-amber-700" : log ? "text-green-700" : "text-slate-400"}>{missed ? "missed" : log ? `logged ${log.date}` : "not logged"}</span>
+          </div>
+          <table className="w-full text-xs mt-1">
+            <thead>
+              <tr className="text-slate-500 text-left">
+                <th>Block</th>
+                <th>Planned</th>
+                <th>Actual</th>
+                <th>Δ</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={i} className="border-t">
+                  <td>{r.move}{r.actualMove && <span className="text-amber-700"> → {r.actualMove}</span>}</td>
+                  <td>{fmt(r.planned)}</td>
+                  <td>{fmt(r.actual)}</td>
+                  <td className={r.delta && (r.delta.rpe > 0.5 || r.delta.sets < 0) ? "text-amber-700" : ""}>
+                    {r.delta ? [sign(r.delta.sets, " sets"), sign(r.delta.reps, " reps"), sign(r.delta.loadPct, "% load"), sign(r.delta.rpe, " RPE")].filter(Boolean).join(" · ") || "on plan" : ""}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Analytics({ logs, unit = "lb" }) {
+  const moves = useMemo(() => loggedMoves(logs), [logs]);
+  const [move, setMove] = useState(moves[0] || "");
+  const current = moves.includes(move) ? move : moves[0];
+  if (!logs.length) return <p className="text-slate-600 text-sm">Log a few sessions to see trends.</p>;
+  const drift = current ? rpeDrift(logs, current) : { load: null, points: [] };
+  return (
+    <div className="space-y-4 text-sm">
+      {moves.length > 0 && (
+        <select className="input" value={current} onChange={(e) => setMove(e.target.value)}>
+          {moves.map((m) => (
+            <option key={m}>{m}</option>
+          ))}
+        </select>
+      )}
+      <div className="grid md:grid-cols-2 gap-4">
+        <Chart title={`e1RM – ${current || "no loaded lifts yet"}`}>
+          <LineChart points={inUnits(weeklyE1RMSeries(logs, current), unit)} unit={unit} />
+        </Chart>
+        <Chart title={`Tonnage – ${current || "–"}`}>
+          <LineChart points={inUnits(weeklyTonnageSeries(logs, current), unit)} unit={unit} />
+        </Chart>
+        <Chart title={drift.load ? `RPE at ${formatLoad(drift.load, unit)} – ${current}` : "RPE drift"}>
+          <LineChart points={drift.points} unit="RPE" />
+        </Chart>
+        <Chart title="Pain flags (per session)">
+          <LineChart points={painSeries(logs)} unit="/5" yMin={0} yMax={5} color="#b45309" />
+        </Chart>
+        <Chart title={`Hard sets (RPE ≥${HARD_SET_RPE}) per pattern`}>
+          <BarChart bars={weeklyHardSets(logs)} />
+        </Chart>
+        <Chart title="Adherence by phase">
+          <BarChart bars={adherenceByPhase(logs).map((p) => ({ label: `${p.phase} (${p.weeks}w)`, segments: [{ key: "adherence %", value: p.pct }] }))} max={100} />
+        </Chart>
+      </div>
+    </div>
+  );
+}
+
+const inUnits = (points, unit) => points.map((p) => ({ ...p, y: toDisplay(p.y, unit) }));
+
+function Chart({ title, children }) {
+  return (
+    <div>
+      <div className="text-xs text-slate-500 mb-1">{title}</div>
+      {children}
+    </div>
+  );
+}
+
+const CHART_W = 300;
+const CHART_H = 120;
+const CHART_PAD = 24;
+const chartPalette = ["#0f172a", "#2563eb", "#16a34a", "#d97706", "#dc2626", "#7c3aed", "#0891b2", "#db2777", "#65a30d", "#64748b"];
+
+// points: [{ x, y, label? }]; plotted evenly by position so gaps between weeks don't stretch the line.
+function LineChart({ points, unit = "", yMin, yMax, color = "#2563eb" }) {
+  if (!points.length) return <p className="text-xs text-slate-400">No data yet.</p>;
+  const ys = points.map((p) => p.y);
+  const lo = yMin ?? Math.min(...ys);
+  const hi = Math.max(yMax ?? Math.max(...ys), lo + 1);
+  const px = (i) => CHART_PAD + (points.length === 1 ? (CHART_W - 2 * CHART_PAD) / 2 : (i * (CHART_W - 2 * CHART_PAD)) / (points.length - 1));
+  const py = (y) => CHART_H - CHART_PAD - ((y - lo) / (hi - lo)) * (CHART_H - 2 * CHART_PAD);
+  const fmt = (v) => Math.round(v * 10) / 10;
+  const first = points[0];
+  const last = points[points.length - 1];
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-auto bg-slate-50 rounded-xl">
+      <text x={4} y={py(hi) + 4} fontSize="9" fill="#64748b">{fmt(hi)}</text>
+      <text x={4} y={py(lo) + 4} fontSize="9" fill="#64748b">{fmt(lo)}</text>
+      <polyline fill="none" stroke={color} strokeWidth="2" points={points.map((p, i) => `${px(i)},${py(p.y)}`).join(" ")} />
+      {points.map((p, i) => (
+        <circle key={i} cx={px(i)} cy={py(p.y)} r="3" fill={color}>
+          <title>{`${p.label || `W${p.x}`}: ${fmt(p.y)} ${unit}`}</title>
+        </circle>
+      ))}
+      <text x={CHART_PAD} y={CHART_H - 6} fontSize="9" fill="#64748b">{first.label ? "" : `W${first.x}`}</text>
+      <text x={CHART_W - CHART_PAD} y={CHART_H - 6} fontSize="9" fill="#64748b" textAnchor="end">{last.label ? "" : `W${last.x}`}</text>
+    </svg>
+  );
+}
+
+// bars: [{ label, segments: [{ key, value }] }], stacked, one colour per segment key.
+function BarChart({ bars, max }) {
+  if (!bars.length) return <p className="text-xs text-slate-400">No data yet.</p>;
+  const keys = [...new Set(bars.flatMap((b) => b.segments.map((s) => s.key)))];
+  const top = max ?? Math.max(1, ...bars.map((b) => b.segments.reduce((a, s) => a + s.value, 0)));
+  const slot = (CHART_W - 2 * CHART_PAD) / bars.length;
+  const scale = (v) => (v / top) * (CHART_H - 2 * CHART_PAD);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-auto bg-slate-50 rounded-xl">
+        <text x={4} y={CHART_PAD + 4} fontSize="9" fill="#64748b">{top}</text>
+        {bars.map((b, i) => {
+          let y = CHART_H - CHART_PAD;
+          return (
+            <g key={b.label}>
+              {b.segments.map((s) => {
+                const h = scale(s.value);
+                y -= h;
+                return (
+                  <rect key={s.key} x={CHART_PAD + i * slot + slot * 0.15} y={y} width={slot * 0.7} height={h} fill={chartPalette[keys.indexOf(s.key) % chartPalette.length]}>
+                    <title>{`${b.label} · ${s.key}: ${s.value}`}</title>
+                  </rect>
+                );
+              })}
+              <text x={CHART_PAD + i * slot + slot / 2} y={CHART_H - 8} fontSize="8" fill="#64748b" textAnchor="middle">{b.label}</text>
+            </g>
+          );
+        })}
+      </svg>
+      {keys.length > 1 && (
+        <div className="flex flex-wrap gap-2 mt-1 text-[10px] text-slate-500">
+          {keys.map((k, i) => (
+            <span key={k} className="flex items-center gap-1">
+              <span className="inline-block w-2 h-2 rounded-sm" style={{ background: chartPalette[i % chartPalette.length] }} />
+              {k.replace(/_/g, " ")}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
 }
 
 // ---------------------- Helpers ----------------------